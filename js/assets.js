@@ -0,0 +1,214 @@
+// --- Asset Loading ---
+
+// Manifest listing the image files to load, relative to index.html
+const ASSET_MANIFEST_URL = 'assets/manifest.json';
+
+/**
+ * AssetLoader - Loads the PNG textures and sprite sheets listed in the asset manifest
+ * and converts them to the ImageData form the renderer samples.
+ * Anything missing keeps the procedural texture or the flat sprite colour.
+ *
+ * Manifest format (paths are relative to the manifest):
+ * {
+ *     "textures": { "floor": "floor.png", "ceiling": "ceiling.png", "walls": { "metal": "metal.png" } },
+ *     "spriteSheets": { "grunt": { "src": "grunt.png", "frameWidth": 64, "frameHeight": 64, "directions": 8 } }
+ * }
+ * Wall textures are keyed by wall or door type name (see WALL_TYPES, DOOR_TYPES), sprite sheets by entity
+ * subType (enemy type, pickup type) or type ('exit', 'projectile', ...)
+ * Enemy sheets hold one row per animation frame (see ENEMY_ANIMATIONS) and, when
+ * "directions" is 8, one column per view direction; other sheets only use their first frame
+ */
+class AssetLoader {
+    /**
+     * Create a new AssetLoader
+     * @param {string} manifestUrl - URL of the asset manifest
+     */
+    constructor(manifestUrl) {
+        this.manifestUrl = manifestUrl;
+        this.textures = {};
+        this.wallTextures = {};
+        this.spriteSheets = {};
+
+        // Progress of the current load, shown on the loading screen
+        this.loading = false;
+        this.loaded = 0;
+        this.total = 0;
+    }
+
+    /**
+     * Load every asset in the manifest
+     * Never rejects: a missing manifest or file only means that asset is not replaced
+     * @returns {Promise} Resolves once every file has loaded or failed
+     */
+    async load() {
+        this.loading = true;
+        this.loaded = 0;
+        this.total = 0;
+
+        const manifest = await this.loadManifest();
+        const baseUrl = this.manifestUrl.slice(0, this.manifestUrl.lastIndexOf('/') + 1);
+        const textures = manifest.textures || {};
+        const walls = textures.walls || {};
+        const spriteSheets = manifest.spriteSheets || {};
+
+        const jobs = [];
+        for (const name in textures) {
+            if (name === 'walls') continue;
+            jobs.push(() => this.loadTexture(baseUrl + textures[name], this.textures, name));
+        }
+        for (const name in walls) {
+            jobs.push(() => this.loadTexture(baseUrl + walls[name], this.wallTextures, name));
+        }
+        for (const name in spriteSheets) {
+            jobs.push(() => this.loadSpriteSheet(baseUrl, spriteSheets[name], name));
+        }
+
+        this.total = jobs.length;
+        await Promise.all(jobs.map(job => job().then(() => { this.loaded++; })));
+        this.loading = false;
+    }
+
+    /**
+     * Fetch and parse the manifest
+     * @returns {Promise<Object>} Manifest, or an empty one if it cannot be read
+     */
+    async loadManifest() {
+        try {
+            const response = await fetch(this.manifestUrl);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return await response.json();
+        } catch (e) {
+            // Expected when opening index.html from disk, where fetch is not allowed
+            console.warn('AssetLoader: No asset manifest, using procedural textures:', e.message);
+            return {};
+        }
+    }
+
+    /**
+     * Load a texture and resample it to the raycaster's texture size
+     * @param {string} src - Image URL
+     * @param {Object} target - Map to store the texture in
+     * @param {string} name - Texture name
+     * @returns {Promise} Resolves once the texture is stored or has failed to load
+     */
+    async loadTexture(src, target, name) {
+        const image = await loadImage(src);
+        if (image) {
+            target[name] = imageToImageData(image, textureWidth, textureHeight);
+        }
+    }
+
+    /**
+     * Load a sprite sheet at its native size
+     * @param {string} baseUrl - URL the sheet path is relative to
+     * @param {Object} entry - Manifest entry {src, frameWidth, frameHeight, directions}
+     * @param {string} name - Sprite sheet name
+     * @returns {Promise} Resolves once the sheet is stored or has failed to load
+     */
+    async loadSpriteSheet(baseUrl, entry, name) {
+        const image = await loadImage(baseUrl + entry.src);
+        if (!image) return;
+
+        this.spriteSheets[name] = createSpriteSheet(imageToImageData(image, image.width, image.height),
+            entry.frameWidth || image.width, entry.frameHeight || image.height, entry.directions || 1);
+    }
+
+    /**
+     * Replace procedural textures with the loaded ones
+     * Called at the end of generateTextures(), so loaded art survives texture regeneration
+     * @param {Object} textureSet - Texture registry (see setup.js)
+     */
+    applyTextures(textureSet) {
+        for (const name in this.textures) {
+            textureSet[name] = this.textures[name];
+        }
+        const tileTypes = { ...WALL_TYPES, ...DOOR_TYPES };
+        for (const id in tileTypes) {
+            const wallTexture = this.wallTextures[tileTypes[id].name];
+            if (wallTexture) {
+                textureSet.walls[id] = wallTexture;
+            }
+        }
+    }
+
+    /**
+     * Get the sprite sheet for an entity
+     * @param {Entity} entity - Entity to draw
+     * @returns {Object|null} Sprite sheet (see createSpriteSheet), or null
+     */
+    getSpriteSheet(entity) {
+        return this.spriteSheets[entity.subType] || this.spriteSheets[entity.type] || null;
+    }
+
+    /**
+     * Get the fraction of the current load that is done
+     * @returns {number} Progress (0-1)
+     */
+    getProgress() {
+        return this.total > 0 ? this.loaded / this.total : 1;
+    }
+}
+
+/**
+ * Wrap sprite sheet pixels with their frame layout
+ * Frames are numbered row by row across the sheet
+ * @param {ImageData} imageData - Sheet pixels
+ * @param {number} frameWidth - Frame width in pixels
+ * @param {number} frameHeight - Frame height in pixels
+ * @param {number} directions - View directions per animation frame (1 or ENEMY_VIEW_DIRECTIONS)
+ * @returns {Object} Sprite sheet {image, texels, frameWidth, frameHeight, columns, frameCount, directions}
+ */
+function createSpriteSheet(imageData, frameWidth, frameHeight, directions) {
+    const columns = Math.max(1, Math.floor(imageData.width / frameWidth));
+    return {
+        image: imageData,
+        texels: new Uint32Array(imageData.data.buffer), // Packed pixels, same byte order as the framebuffer
+        frameWidth: frameWidth,
+        frameHeight: frameHeight,
+        columns: columns,
+        frameCount: Math.max(1, columns * Math.floor(imageData.height / frameHeight)),
+        directions: directions
+    };
+}
+
+/**
+ * Load an image
+ * @param {string} src - Image URL
+ * @returns {Promise<HTMLImageElement|null>} The image, or null if it could not be loaded
+ */
+function loadImage(src) {
+    return new Promise((resolve) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => {
+            console.warn(`AssetLoader: Could not load ${src}, keeping the fallback`);
+            resolve(null);
+        };
+        image.src = src;
+    });
+}
+
+/**
+ * Draw an image into an ImageData of a given size
+ * @param {HTMLImageElement} image - Source image
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @returns {ImageData} Pixel data
+ */
+function imageToImageData(image, width, height) {
+    const imageCanvas = document.createElement('canvas');
+    const imageCtx = imageCanvas.getContext('2d');
+    imageCanvas.width = width;
+    imageCanvas.height = height;
+    imageCtx.imageSmoothingEnabled = false;
+    imageCtx.drawImage(image, 0, 0, width, height);
+    return imageCtx.getImageData(0, 0, width, height);
+}
+
+// Global asset loader instance
+const assetLoader = new AssetLoader(ASSET_MANIFEST_URL);
+
+// --- Exports ---
+window.AssetLoader = AssetLoader;
+window.createSpriteSheet = createSpriteSheet;
+window.assetLoader = assetLoader;
@@ -207,3 +207,71 @@ audioManager.createSound('machine_gun', (audioCtx) => {
 
     return { source: oscillator };
 });
+
+audioManager.createSound('door', (audioCtx) => {
+    const oscillator = audioCtx.createOscillator();
+    const gainNode = audioCtx.createGain();
+    oscillator.connect(gainNode);
+    gainNode.connect(audioCtx.destination);
+
+    oscillator.type = 'sawtooth';
+    oscillator.frequency.setValueAtTime(70, audioCtx.currentTime);
+    gainNode.gain.setValueAtTime(0.08, audioCtx.currentTime);
+
+    oscillator.frequency.linearRampToValueAtTime(110, audioCtx.currentTime + 0.5);
+    gainNode.gain.exponentialRampToValueAtTime(0.001, audioCtx.currentTime + 0.6);
+
+    return { source: oscillator };
+});
+
+audioManager.createSound('door_locked', (audioCtx) => {
+    const oscillator = audioCtx.createOscillator();
+    const gainNode = audioCtx.createGain();
+    oscillator.connect(gainNode);
+    gainNode.connect(audioCtx.destination);
+
+    oscillator.type = 'square';
+    oscillator.frequency.setValueAtTime(120, audioCtx.currentTime);
+    gainNode.gain.setValueAtTime(0.1, audioCtx.currentTime);
+
+    gainNode.gain.exponentialRampToValueAtTime(0.001, audioCtx.currentTime + 0.15);
+
+    return { source: oscillator };
+});
+
+audioManager.createSound('enemy_windup', (audioCtx) => {
+    const oscillator = audioCtx.createOscillator();
+    const gainNode = audioCtx.createGain();
+    oscillator.connect(gainNode);
+    gainNode.connect(audioCtx.destination);
+
+    oscillator.type = 'triangle';
+    oscillator.frequency.setValueAtTime(220, audioCtx.currentTime);
+    gainNode.gain.setValueAtTime(0.06, audioCtx.currentTime);
+
+    oscillator.frequency.linearRampToValueAtTime(660, audioCtx.currentTime + 0.35);
+    gainNode.gain.exponentialRampToValueAtTime(0.001, audioCtx.currentTime + 0.4);
+
+    return { source: oscillator };
+});
+
+// --- Event Subscriptions ---
+
+eventBus.on('weaponFired', (event) => audioManager.play(event.weapon.sound));
+eventBus.on('weaponReloadStarted', () => audioManager.play('reload'));
+eventBus.on('projectileImpact', () => audioManager.play('bullet_impact'));
+eventBus.on('enemyDamaged', () => audioManager.play('enemy_damage'));
+eventBus.on('playerDamaged', () => audioManager.play('player_damage'));
+eventBus.on('enemyAttackWindUp', () => audioManager.play('enemy_windup'));
+eventBus.on('playerStep', () => audioManager.play('step'));
+eventBus.on('pickupCollected', () => audioManager.play('pickup'));
+eventBus.on('doorOpened', () => audioManager.play('door'));
+eventBus.on('doorLocked', () => audioManager.play('door_locked'));
+
+// --- Exports ---
+if (typeof window !== 'undefined') {
+    window.AudioManager = AudioManager;
+    window.audioManager = audioManager;
+} else if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AudioManager, audioManager };
+}
@@ -1,6 +1,9 @@
 /**
  * AIBehavior - Implements enemy AI state machine logic
- * Handles state transitions between idle, chasing, and attacking based on player visibility and distance
+ * Handles state transitions between idle, chasing, attacking, searching and investigating based on player visibility and distance.
+ * Losing sight of the player sends the enemy searching: it walks to where it last saw them and looks around.
+ * Hearing a noise (see HearingSystem) sends an enemy that is not after the player investigating it the same way.
+ * While idle it stands guard, walks a patrol route or wanders around where it started (idleMode)
  */
 class AIBehavior {
     /**
@@ -22,14 +25,42 @@ class AIBehavior {
         this.chaseRange = config.chaseRange || this.sightRange;
         this.loseTargetRange = config.loseTargetRange || this.sightRange * 1.5;
         
-        // State timers
+        // Search parameters: seconds spent looking around at the last known position,
+        // seconds before a search that cannot get there is abandoned, and how close counts as there
+        this.searchLookTime = config.searchLookTime || 4;
+        this.searchGiveUpTime = config.searchGiveUpTime || 15;
+        this.searchArrivalDistance = config.searchArrivalDistance || 0.5;
+        
+        // Quietest noise (loudness left when it reaches the entity) worth investigating
+        this.hearingThreshold = config.hearingThreshold || 1;
+        
+        // Idle movement: 'stand', 'patrol' (along patrolRoute, see setPatrolRoute) or 'wander'
+        // (to random spots within wanderRadius tiles of home). Between stops the entity pauses
+        // for idlePauseTime seconds and turns towards the next one; a stop it cannot reach within
+        // idleWalkTimeout seconds is skipped
+        this.idleMode = config.idleMode || 'stand';
+        this.wanderRadius = config.wanderRadius || 4;
+        this.idlePauseTime = config.idlePauseTime || 1.5;
+        this.idleWalkTimeout = config.idleWalkTimeout || 10;
+        this.home = entity ? { x: entity.x, y: entity.y } : null;
+        this.patrolRoute = [];
+        this.patrolIndex = -1; // Route point last headed for
+        this.patrolStep = 1; // Routes are walked to the end and back
+        this.wanderRandom = null; // Random stream for wander stops (see setWanderRandom)
+        this.idleDestination = null;
+        this.idlePauseTimer = 0;
+        this.idleWalkTimer = 0;
+        
+        // State timers (seconds)
         this.stateTimer = 0;
         this.idleTimer = 0;
         this.chaseTimer = 0;
+        this.lookTimer = 0; // Time spent looking around at the last known position or noise
         
         // Target tracking
         this.target = null;
         this.lastKnownTargetPosition = null;
+        this.noisePosition = null; // Where the noise being investigated came from
         this.canSeeTarget = false;
         this.distanceToTarget = Infinity;
         
@@ -48,13 +79,13 @@ class AIBehavior {
     
     /**
      * Update AI behavior and state machine
-     * @param {number} deltaTime - Time elapsed since last update
+     * @param {number} deltaTime - Time elapsed since last update in seconds
      */
     update(deltaTime) {
         if (!this.isActive || !this.entity || !this.entity.isAlive()) return;
         
         // Update state timer
-        this.stateTimer++;
+        this.stateTimer += deltaTime;
         
         // Get player as default target
         if (!this.target && window.gameState && window.gameState.player) {
@@ -67,7 +98,7 @@ class AIBehavior {
         this.updateTargetInfo();
         
         // Execute state machine
-        this.executeStateMachine();
+        this.executeStateMachine(deltaTime);
         
         // Update movement behavior based on state
         this.updateMovementBehavior();
@@ -103,21 +134,27 @@ class AIBehavior {
     
     /**
      * Execute the AI state machine logic
+     * @param {number} deltaTime - Time elapsed since last update in seconds
      */
-    executeStateMachine() {
+    executeStateMachine(deltaTime) {
         const previousState = this.state;
         
         switch (this.state) {
             case 'idle':
-                this.handleIdleState();
+                this.handleIdleState(deltaTime);
                 break;
                 
             case 'chasing':
-                this.handleChasingState();
+                this.handleChasingState(deltaTime);
                 break;
                 
             case 'attacking':
-                this.handleAttackingState();
+                this.handleAttackingState(deltaTime);
+                break;
+                
+            case 'searching':
+            case 'investigating':
+                this.handleSearchingState(deltaTime);
                 break;
                 
             default:
@@ -134,9 +171,10 @@ class AIBehavior {
     
     /**
      * Handle idle state logic
+     * @param {number} deltaTime - Time elapsed since last update in seconds
      */
-    handleIdleState() {
-        this.idleTimer++;
+    handleIdleState(deltaTime) {
+        this.idleTimer += deltaTime;
         
         // Check if we can see the player and they're within sight range
         if (this.canSeeTarget && this.distanceToTarget <= this.sightRange) {
@@ -145,21 +183,129 @@ class AIBehavior {
             } else {
                 this.setState('chasing');
             }
+            return;
+        }
+        
+        this.updateIdleMovement(deltaTime);
+    }
+    
+    /**
+     * Advance patrolling or wandering: pause at each stop, then walk to the next
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     */
+    updateIdleMovement(deltaTime) {
+        if (this.idleMode === 'stand') return;
+        
+        if (!this.idleDestination) {
+            this.idleDestination = this.pickIdleDestination();
+            this.idleWalkTimer = 0;
         }
+        
+        if (this.idlePauseTimer > 0) {
+            this.idlePauseTimer = Math.max(0, this.idlePauseTimer - deltaTime);
+            return;
+        }
+        
+        this.idleWalkTimer += deltaTime;
+        if (this.isAt(this.idleDestination, this.searchArrivalDistance) || this.idleWalkTimer >= this.idleWalkTimeout) {
+            this.idleDestination = this.pickIdleDestination();
+            this.idlePauseTimer = this.idlePauseTime;
+            this.idleWalkTimer = 0;
+        }
+    }
+    
+    /**
+     * Choose the next stop for the idle mode
+     * @returns {Object|null} Position { x, y }, or null if there is nowhere to go
+     */
+    pickIdleDestination() {
+        if (this.idleMode === 'patrol') {
+            if (this.patrolRoute.length === 0) return null;
+            
+            const next = this.patrolIndex + this.patrolStep;
+            if (next < 0 || next >= this.patrolRoute.length) this.patrolStep = -this.patrolStep;
+            this.patrolIndex = Math.max(0, Math.min(this.patrolRoute.length - 1, this.patrolIndex + this.patrolStep));
+            return this.patrolRoute[this.patrolIndex];
+        }
+        
+        if (this.idleMode === 'wander' && this.home) {
+            return this.pickWanderDestination();
+        }
+        return null;
+    }
+    
+    /**
+     * Pick a random open tile within wanderRadius of home
+     * @returns {Object} Tile centre { x, y }, or home if no open tile turned up (or no stream is set)
+     */
+    pickWanderDestination() {
+        const random = this.wanderRandom;
+        for (let attempt = 0; random && attempt < 8; attempt++) {
+            const tileX = Math.floor(this.home.x + random.range(-1, 1) * this.wanderRadius);
+            const tileY = Math.floor(this.home.y + random.range(-1, 1) * this.wanderRadius);
+            if (window.isWalkableTile && window.isWalkableTile(tileX, tileY)) {
+                return { x: tileX + 0.5, y: tileY + 0.5 };
+            }
+        }
+        return { x: this.home.x, y: this.home.y };
+    }
+    
+    /**
+     * Set the route patrolled in idleMode 'patrol'
+     * @param {Object[]} route - Route points { x, y } (see createPatrolRoute)
+     */
+    setPatrolRoute(route) {
+        this.patrolRoute = route;
+        this.patrolIndex = -1;
+        this.patrolStep = 1;
+        this.idleDestination = null;
+    }
+    
+    /**
+     * Set the random stream wander stops are picked from in idleMode 'wander'
+     * @param {SeededRandom} random - Stream of its own, so wandering leaves the other systems' numbers alone
+     */
+    setWanderRandom(random) {
+        this.wanderRandom = random;
+        this.idleDestination = null;
+    }
+    
+    /**
+     * Get the point the entity turns to face while it pauses between idle stops
+     * @returns {Object|null} Next stop { x, y }, or null when not pausing
+     */
+    getTurnTarget() {
+        if (this.state !== 'idle' || this.idlePauseTimer <= 0) return null;
+        return this.idleDestination;
+    }
+    
+    /**
+     * Check whether the entity stands at a position
+     * @param {Object} position - Position { x, y }
+     * @param {number} distance - How close counts as there
+     * @returns {boolean} True if it is within distance of the position
+     */
+    isAt(position, distance) {
+        return !position || Math.hypot(position.x - this.entity.x, position.y - this.entity.y) <= distance;
     }
     
     /**
      * Handle chasing state logic
+     * @param {number} deltaTime - Time elapsed since last update in seconds
      */
-    handleChasingState() {
-        this.chaseTimer++;
+    handleChasingState(deltaTime) {
+        this.chaseTimer += deltaTime;
         
         // If we can see the target and they're close enough to attack
         if (this.canSeeTarget && this.distanceToTarget <= this.attackRange) {
             this.setState('attacking');
         }
-        // If we can't see the target or they're too far away, go back to idle
-        else if (!this.canSeeTarget || this.distanceToTarget > this.loseTargetRange) {
+        // If we lost sight of the target, hunt for it where it was last seen
+        else if (!this.canSeeTarget) {
+            this.startSearch();
+        }
+        // If they're too far away, go back to idle
+        else if (this.distanceToTarget > this.loseTargetRange) {
             this.setState('idle');
         }
         // Continue chasing if we can see them and they're within chase range
@@ -174,8 +320,9 @@ class AIBehavior {
     
     /**
      * Handle attacking state logic
+     * @param {number} deltaTime - Time elapsed since last update in seconds
      */
-    handleAttackingState() {
+    handleAttackingState(deltaTime) {
         // If target moved out of attack range but still visible, chase
         if (this.canSeeTarget && this.distanceToTarget > this.attackRange) {
             if (this.distanceToTarget <= this.chaseRange) {
@@ -184,13 +331,89 @@ class AIBehavior {
                 this.setState('idle');
             }
         }
-        // If we can't see the target, go back to idle
+        // If we can't see the target, hunt for it where it was last seen
         else if (!this.canSeeTarget) {
-            this.setState('idle');
+            this.startSearch();
         }
         // Continue attacking - attack behavior handled by AttackBehavior component
     }
     
+    /**
+     * Handle searching and investigating state logic
+     * Walk to the last known target position (or the noise), look around there, then give up
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     */
+    handleSearchingState(deltaTime) {
+        // Spotting the target again ends the search like spotting it from idle
+        if (this.canSeeTarget && this.distanceToTarget <= this.sightRange) {
+            this.setState(this.distanceToTarget <= this.attackRange ? 'attacking' : 'chasing');
+            return;
+        }
+        
+        if (this.isLookingAround()) {
+            this.lookTimer += deltaTime;
+            if (this.lookTimer >= this.searchLookTime) {
+                this.setState('idle');
+            }
+        } else if (this.hasReachedSearchPosition()) {
+            this.lookTimer = deltaTime;
+        } else if (this.stateTimer >= this.searchGiveUpTime) {
+            this.setState('idle');
+        }
+    }
+    
+    /**
+     * Start searching for the target where it was last seen (idle if it was never seen)
+     */
+    startSearch() {
+        this.setState(this.lastKnownTargetPosition ? 'searching' : 'idle');
+    }
+    
+    /**
+     * React to a noise: investigate it unless already after the target
+     * A new noise during an investigation replaces the one being investigated
+     * @param {Object} position - Where the noise came from { x, y }
+     * @param {number} loudness - Loudness left when it reached the entity
+     */
+    hearNoise(position, loudness) {
+        if (!this.isActive || loudness < this.hearingThreshold) return;
+        if (this.state === 'chasing' || this.state === 'attacking') return;
+        
+        this.noisePosition = { x: position.x, y: position.y };
+        if (this.state === 'investigating') {
+            this.stateTimer = 0;
+            this.lookTimer = 0;
+        } else {
+            this.setState('investigating');
+        }
+    }
+    
+    /**
+     * Get the position the current search or investigation heads for
+     * @returns {Object|null} Last known target position while searching, the noise while investigating
+     */
+    getSearchPosition() {
+        if (this.state === 'investigating') return this.noisePosition;
+        if (this.state === 'searching') return this.lastKnownTargetPosition;
+        return null;
+    }
+    
+    /**
+     * Check whether a search or investigation has reached its position and is looking around
+     * @returns {boolean} True while looking around
+     */
+    isLookingAround() {
+        return (this.state === 'searching' || this.state === 'investigating') && this.lookTimer > 0;
+    }
+    
+    /**
+     * Check whether the entity stands at the position being searched
+     * @returns {boolean} True if it is within searchArrivalDistance of it
+     */
+    hasReachedSearchPosition() {
+        return this.isAt(this.getSearchPosition(), this.searchArrivalDistance);
+    }
+    
     /**
      * Update movement behavior based on current AI state
      */
@@ -200,9 +423,11 @@ class AIBehavior {
         
         switch (this.state) {
             case 'idle':
-                // Stop movement
-                if (movementBehavior.stop) {
-                    movementBehavior.stop();
+                // Walk to the next patrol or wander stop, otherwise stand still
+                if (this.idleDestination && this.idlePauseTimer <= 0 && movementBehavior.setTarget) {
+                    movementBehavior.setTarget(this.idleDestination);
+                } else {
+                    this.stopMovement(movementBehavior);
                 }
                 break;
                 
@@ -215,13 +440,33 @@ class AIBehavior {
                 
             case 'attacking':
                 // Stop movement while attacking (or move slowly)
-                if (movementBehavior.stop) {
-                    movementBehavior.stop();
+                this.stopMovement(movementBehavior);
+                break;
+                
+            case 'searching':
+            case 'investigating':
+                // Walk to the last known position or the noise, then stand and look around
+                if (this.isLookingAround() || !this.getSearchPosition()) {
+                    this.stopMovement(movementBehavior);
+                } else if (movementBehavior.setTarget) {
+                    movementBehavior.setTarget(this.getSearchPosition());
                 }
                 break;
         }
     }
     
+    /**
+     * Stop movement, dropping the movement target so the entity stays in place
+     * @param {MovementBehavior} movementBehavior - Movement behavior to stop
+     */
+    stopMovement(movementBehavior) {
+        if (movementBehavior.clearTarget) {
+            movementBehavior.clearTarget();
+        } else if (movementBehavior.stop) {
+            movementBehavior.stop();
+        }
+    }
+    
     /**
      * Set AI state and reset state timer
      * @param {string} newState - New state to set
@@ -237,6 +482,8 @@ class AIBehavior {
                 this.idleTimer = 0;
             } else if (newState === 'chasing') {
                 this.chaseTimer = 0;
+            } else if (newState === 'searching' || newState === 'investigating') {
+                this.lookTimer = 0;
             }
         }
     }
@@ -292,7 +539,7 @@ class AIBehavior {
         
         while (true) {
             // Check if current position is a wall
-            if (map[y0] && map[y0][x0] === 1) return false;
+            if (map[y0] && map[y0][x0] > 0) return false;
             
             // Reached target
             if (x0 === x1 && y0 === y1) break;
@@ -0,0 +1,328 @@
+/**
+ * Attack strategies and their parameters; enemy types list the ones they use (ENEMY_TYPES attacks)
+ * range is the farthest the target may be for the strategy to be picked, in tiles. windUp is the
+ * telegraph in seconds before the attack lands, while the enemy glows and the wind-up sound plays.
+ * damageMultiplier scales the enemy's damage per projectile or per lunge hit
+ */
+const ATTACK_STRATEGIES = {
+    // One aimed projectile
+    single: { range: 10, windUp: 0.4, projectileSpeed: 6 },
+    // Aimed projectiles one after another, shotInterval seconds apart
+    burst: { range: 10, windUp: 0.4, shots: 3, shotInterval: 0.15, projectileSpeed: 7, damageMultiplier: 0.5 },
+    // Projectiles fanned evenly across spreadAngle radians around the aim
+    spread: { range: 10, windUp: 0.5, shots: 5, spreadAngle: 0.6, projectileSpeed: 6, damageMultiplier: 0.5 },
+    // Dash at lungeSpeed tiles per second for up to lungeTime seconds, hitting within hitRadius tiles
+    lunge: { range: 2.5, windUp: 0.5, lungeSpeed: 8, lungeTime: 0.3, hitRadius: 0.7 },
+    // One slow-building, fast and heavy projectile
+    chargeUp: {
+        range: 10, windUp: 1.2, projectileSpeed: 9, damageMultiplier: 2, projectileScale: 0.3,
+        projectileColor: '#FF3030'
+    }
+};
+
+// Colour of enemy projectiles unless the strategy sets projectileColor
+const ENEMY_PROJECTILE_COLOR = '#FFA500';
+
+/**
+ * AttackBehavior - Attacks the AI's target while the AI is in its attacking state
+ * Each attack winds up (the telegraph), then runs its strategy: firing projectiles or lunging.
+ * The cooldown starts once the attack is over. Losing sight of the target during the wind-up
+ * cancels the attack
+ */
+class AttackBehavior {
+    /**
+     * Create a new AttackBehavior
+     * @param {Entity} entity - The enemy entity this behavior is attached to
+     * @param {Object} config - Configuration object (damage, attackCooldown, attacks)
+     */
+    constructor(entity, config = {}) {
+        this.entity = entity;
+        this.damage = config.damage || 10;
+        this.attackCooldown = config.attackCooldown || 2.0; // seconds between attacks
+
+        // Strategies in order of preference: the first one in range is used. Entries are
+        // strategy names or objects { type, ...parameters } overriding ATTACK_STRATEGIES
+        this.attacks = (config.attacks || ['single']).map(attack => this.resolveAttack(attack)).filter(Boolean);
+
+        // Attack in progress: 'ready', 'windUp' or 'active' (burst shots or a lunge under way)
+        this.phase = 'ready';
+        this.currentAttack = null;
+        this.phaseTimer = 0;
+        this.shotsLeft = 0;
+        this.lungeDirection = null;
+        this.cooldownTimer = 0;
+
+        this.isActive = true;
+    }
+
+    /**
+     * Set the entity reference (called by Entity.addBehavior)
+     * @param {Entity} entity - The entity this behavior belongs to
+     */
+    setEntity(entity) {
+        this.entity = entity;
+    }
+
+    /**
+     * Turn an attacks entry into strategy parameters
+     * @param {string|Object} attack - Strategy name, or object with type and parameter overrides
+     * @returns {Object|null} Parameters with their type, or null for an unknown strategy
+     */
+    resolveAttack(attack) {
+        const type = typeof attack === 'string' ? attack : attack.type;
+        if (!ATTACK_STRATEGIES[type]) {
+            console.warn(`AttackBehavior: Unknown attack strategy '${type}'`);
+            return null;
+        }
+        return { ...ATTACK_STRATEGIES[type], ...(typeof attack === 'string' ? {} : attack), type: type };
+    }
+
+    /**
+     * Advance the cooldown and the attack in progress, or start a new one
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     */
+    update(deltaTime) {
+        if (!this.isActive || !this.entity || !this.entity.isAlive()) return;
+
+        if (this.cooldownTimer > 0) {
+            this.cooldownTimer = Math.max(0, this.cooldownTimer - deltaTime);
+        }
+
+        const target = this.getTarget();
+        switch (this.phase) {
+            case 'ready':
+                if (target && this.cooldownTimer <= 0) {
+                    this.startAttack(target);
+                }
+                break;
+
+            case 'windUp':
+                if (!target) {
+                    this.cancel();
+                    break;
+                }
+                this.phaseTimer += deltaTime;
+                if (this.phaseTimer >= this.currentAttack.windUp) {
+                    this.releaseAttack(target);
+                }
+                break;
+
+            case 'active':
+                this.updateActiveAttack(deltaTime, target);
+                break;
+        }
+    }
+
+    /**
+     * Get the target to attack: the AI's target while the AI is attacking and can see it
+     * @returns {Entity|null} Target, or null when the entity should not be attacking
+     */
+    getTarget() {
+        const ai = this.entity.getBehavior('ai');
+        if (!ai || ai.getState() !== 'attacking' || !ai.canSeeTarget || !ai.target) return null;
+        return ai.target.isAlive && !ai.target.isAlive() ? null : ai.target;
+    }
+
+    /**
+     * Start winding up the first strategy whose range reaches the target
+     * @param {Entity} target - Target to attack
+     */
+    startAttack(target) {
+        const distance = this.entity.getDistanceTo(target);
+        const attack = this.attacks.find(candidate => distance <= candidate.range);
+        if (!attack) return;
+
+        this.currentAttack = attack;
+        this.phase = 'windUp';
+        this.phaseTimer = 0;
+        this.entity.emitEvent('enemyAttackWindUp', { enemy: this.entity, attack: attack.type });
+    }
+
+    /**
+     * Land the attack once the wind-up is over
+     * @param {Entity} target - Target to attack
+     */
+    releaseAttack(target) {
+        const attack = this.currentAttack;
+        const direction = this.entity.getDirectionTo(target);
+
+        switch (attack.type) {
+            case 'burst':
+                this.fireProjectile(direction);
+                this.shotsLeft = attack.shots - 1;
+                this.phase = 'active';
+                this.phaseTimer = 0;
+                break;
+
+            case 'spread':
+                for (let i = 0; i < attack.shots; i++) {
+                    const offset = attack.shots > 1 ? (i / (attack.shots - 1) - 0.5) * attack.spreadAngle : 0;
+                    const angle = Math.atan2(direction.y, direction.x) + offset;
+                    this.fireProjectile({ x: Math.cos(angle), y: Math.sin(angle) });
+                }
+                this.finish();
+                break;
+
+            case 'lunge':
+                this.lungeDirection = direction;
+                this.phase = 'active';
+                this.phaseTimer = 0;
+                break;
+
+            default:
+                this.fireProjectile(direction);
+                this.finish();
+                break;
+        }
+    }
+
+    /**
+     * Fire the rest of a burst or carry a lunge on
+     * A burst keeps firing at the target's last seen spot if it ducks out of sight mid-burst
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     * @param {Entity|null} target - Target, or null if it can no longer be attacked
+     */
+    updateActiveAttack(deltaTime, target) {
+        const attack = this.currentAttack;
+        this.phaseTimer += deltaTime;
+
+        if (attack.type === 'burst') {
+            if (this.phaseTimer < attack.shotInterval) return;
+
+            this.phaseTimer -= attack.shotInterval;
+            const ai = this.entity.getBehavior('ai');
+            const aimAt = target || (ai ? ai.lastKnownTargetPosition : null);
+            if (aimAt) {
+                this.fireProjectile(this.entity.getDirectionTo(aimAt));
+            }
+            this.shotsLeft--;
+            if (this.shotsLeft <= 0) this.finish();
+            return;
+        }
+
+        if (attack.type === 'lunge') {
+            this.updateLunge(attack);
+        }
+    }
+
+    /**
+     * Dash along the lunge direction and hit the first living player it reaches
+     * @param {Object} attack - Lunge parameters
+     */
+    updateLunge(attack) {
+        const movement = this.entity.getBehavior('movement');
+        const moved = movement ? movement.move(this.lungeDirection.x, this.lungeDirection.y,
+            attack.lungeSpeed / movement.getMoveSpeed()) : false;
+
+        const players = window.gameState && window.gameState.world ?
+            window.gameState.world.getEntitiesNear(this.entity.x, this.entity.y, attack.hitRadius, 'player') : [];
+        for (let i = 0; i < players.length; i++) {
+            if (!players[i].isAlive()) continue;
+
+            players[i].takeDamage(this.damage * (attack.damageMultiplier || 1), this.entity);
+            this.finish();
+            return;
+        }
+
+        if (!moved || this.phaseTimer >= attack.lungeTime) {
+            this.finish();
+        }
+    }
+
+    /**
+     * Fire one projectile and show the entity's firing frame
+     * @param {Object} direction - Normalized direction { x, y }
+     */
+    fireProjectile(direction) {
+        const attack = this.currentAttack;
+        if ((direction.x === 0 && direction.y === 0) || !window.gameState || !window.gameState.world) return;
+
+        window.gameState.world.add(new window.EnemyProjectile(this.entity.x, this.entity.y, {
+            dirX: direction.x,
+            dirY: direction.y,
+            speed: attack.projectileSpeed,
+            damage: this.damage * (attack.damageMultiplier || 1),
+            color: attack.projectileColor || ENEMY_PROJECTILE_COLOR,
+            scale: attack.projectileScale,
+            source: this.entity
+        }));
+
+        if (this.entity.showFiring) {
+            this.entity.showFiring();
+        }
+    }
+
+    /**
+     * End the attack in progress and start the cooldown
+     */
+    finish() {
+        this.phase = 'ready';
+        this.currentAttack = null;
+        this.lungeDirection = null;
+        this.shotsLeft = 0;
+        this.cooldownTimer = this.attackCooldown;
+    }
+
+    /**
+     * Drop a wind-up that can no longer land; the entity can attack again as soon as it is back in position
+     */
+    cancel() {
+        this.phase = 'ready';
+        this.currentAttack = null;
+        this.phaseTimer = 0;
+    }
+
+    /**
+     * Check whether a new attack can start
+     * @returns {boolean} True if no attack is under way and the cooldown is over
+     */
+    isReady() {
+        return this.phase === 'ready' && this.cooldownTimer <= 0;
+    }
+
+    /**
+     * Get how far the current wind-up has got, for telegraphs
+     * @returns {number} 0 when not winding up, rising to 1 as the attack is about to land
+     */
+    getWindUpProgress() {
+        if (this.phase !== 'windUp') return 0;
+        return Math.min(1, this.phaseTimer / this.currentAttack.windUp);
+    }
+
+    /**
+     * Check whether a lunge is under way
+     * @returns {boolean} True while lunging
+     */
+    isLunging() {
+        return this.phase === 'active' && this.currentAttack.type === 'lunge';
+    }
+
+    /**
+     * Enable or disable this behavior
+     * @param {boolean} active - Whether behavior should be active
+     */
+    setActive(active) {
+        this.isActive = active;
+        if (!active) {
+            this.cancel();
+        }
+    }
+
+    /**
+     * Clean up behavior resources
+     */
+    cleanup() {
+        this.entity = null;
+        this.currentAttack = null;
+        this.lungeDirection = null;
+        this.isActive = false;
+    }
+}
+
+// Export the AttackBehavior class
+if (typeof window !== 'undefined') {
+    window.ATTACK_STRATEGIES = ATTACK_STRATEGIES;
+    window.AttackBehavior = AttackBehavior;
+} else if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ATTACK_STRATEGIES, AttackBehavior };
+}
@@ -10,15 +10,19 @@ class MovementBehavior {
      */
     constructor(entity, config = {}) {
         this.entity = entity;
-        this.moveSpeed = config.moveSpeed || 0.05;
+        this.moveSpeed = config.moveSpeed || 3.0; // tiles per second
         this.isActive = true;
         
         // Movement state
         this.isMoving = false;
         this.lastMoveTime = 0;
         
-        // Delta time support
-        this.deltaTimeMultiplier = 1.0;
+        // Direction of the last successful move (lets enemies face where they walk)
+        this.lastDirX = 0;
+        this.lastDirY = 0;
+        
+        // Delta time support (seconds of the current update)
+        this.deltaTimeMultiplier = 1 / 60;
     }
     
     /**
@@ -31,13 +35,13 @@ class MovementBehavior {
     
     /**
      * Update movement behavior (override in subclasses)
-     * @param {number} deltaTime - Time elapsed since last update
+     * @param {number} deltaTime - Time elapsed since last update in seconds
      */
     update(deltaTime) {
         if (!this.isActive || !this.entity) return;
         
         // Calculate delta time multiplier for frame-rate independent movement
-        this.deltaTimeMultiplier = deltaTime || 1.0;
+        this.deltaTimeMultiplier = deltaTime || 1 / 60;
         
         // Call subclass-specific update logic
         this.onUpdate(deltaTime);
@@ -73,7 +77,7 @@ class MovementBehavior {
             return true; // Out of bounds = collision
         }
         
-        // Check if the tile at the new position is a wall (1 = wall, 0 = empty)
+        // Check if the tile at the new position is a wall (0 = empty, any other value is a wall or door)
         const tileX = Math.floor(newX);
         const tileY = Math.floor(newY);
         
@@ -82,7 +86,12 @@ class MovementBehavior {
             return true;
         }
         
-        return map[tileY][tileX] === 1;
+        // Door tiles only block until their door has slid open
+        if (window.isSolidTile) {
+            return window.isSolidTile(tileX, tileY);
+        }
+        
+        return map[tileY][tileX] > 0;
     }
     
     /**
@@ -125,6 +134,8 @@ class MovementBehavior {
         this.isMoving = moved;
         if (moved) {
             this.lastMoveTime = Date.now();
+            this.lastDirX = dirX;
+            this.lastDirY = dirY;
         }
         
         return moved;
@@ -251,8 +262,8 @@ class PlayerMovementBehavior extends MovementBehavior {
         super(entity, config);
         
         // Player-specific movement properties
-        this.rotSpeed = config.rotSpeed || 0.03;
-        this.stepSoundInterval = 15; // Frames between step sounds
+        this.rotSpeed = config.rotSpeed || 1.8; // radians per second
+        this.stepSoundInterval = 0.25; // Seconds between step sounds
     }
     
     /**
@@ -260,14 +271,13 @@ class PlayerMovementBehavior extends MovementBehavior {
      * @param {number} deltaTime - Time elapsed since last update
      */
     onUpdate(deltaTime) {
-        if (!this.entity || !window.keys) return;
+        if (!this.entity || !window.inputManager) return;
         
-        const keys = window.keys;
-        this.handleInput(keys);
+        this.handleInput(window.inputManager);
     }
     
     /**
-     * Handle step sound timing
+     * Emit playerStep events, and the noise of the step, at the step interval while the player is moving
      * @param {boolean} isMoving - Whether the player is currently moving
      */
     handleStepSounds(isMoving) {
@@ -276,11 +286,16 @@ class PlayerMovementBehavior extends MovementBehavior {
         if (isMoving) {
             // Use the player's stepTimer property
             if (this.entity.stepTimer !== undefined) {
-                this.entity.stepTimer++;
+                this.entity.stepTimer += this.deltaTimeMultiplier;
                 if (this.entity.stepTimer >= this.stepSoundInterval) {
-                    // Play step sound if audio manager is available
-                    if (window.audioManager && window.audioManager.play) {
-                        window.audioManager.play('step');
+                    this.entity.emitEvent('playerStep', { player: this.entity });
+                    if (window.NOISE_LOUDNESS) {
+                        this.entity.emitEvent('noise', {
+                            x: this.entity.x,
+                            y: this.entity.y,
+                            loudness: window.NOISE_LOUDNESS.step,
+                            source: this.entity
+                        });
                     }
                     this.entity.stepTimer = 0;
                 }
@@ -294,33 +309,36 @@ class PlayerMovementBehavior extends MovementBehavior {
     }
     
     /**
-     * Handle input for player movement (can be called directly)
-     * @param {Object} inputKeys - Key state object
+     * Handle input for player movement and turning (can be called directly)
+     * @param {InputManager} input - Action state from the input system
      * @returns {boolean} True if any movement occurred
      */
-    handleInput(inputKeys) {
-        if (!inputKeys || !this.entity) return false;
+    handleInput(input) {
+        if (!input || !this.entity) return false;
         
         let moved = false;
         
+        // Turn before moving so movement follows the new facing.
+        // Action values are 1 for keys and the stick deflection for gamepads
+        const turn = input.getActionValue('turnLeft') - input.getActionValue('turnRight');
+        if (turn !== 0 && this.entity.rotate) {
+            this.entity.rotate(turn * this.rotSpeed * this.deltaTimeMultiplier);
+        }
+        
         // Get player direction vectors
         const dirX = this.entity.dirX || 0;
         const dirY = this.entity.dirY || 0;
         const planeX = this.entity.planeX || 0;
         const planeY = this.entity.planeY || 0;
         
-        // Process movement input
-        if (inputKeys['KeyW'] || inputKeys['ArrowUp']) {
-            moved = this.move(dirX, dirY) || moved;
+        // Process movement input, scaled by how far each action is held
+        const forward = input.getActionValue('moveForward') - input.getActionValue('moveBackward');
+        const strafe = input.getActionValue('strafeRight') - input.getActionValue('strafeLeft');
+        if (forward !== 0) {
+            moved = this.move(dirX, dirY, forward) || moved;
         }
-        if (inputKeys['KeyS'] || inputKeys['ArrowDown']) {
-            moved = this.move(-dirX, -dirY) || moved;
-        }
-        if (inputKeys['KeyD']) {
-            moved = this.move(planeX, planeY) || moved;
-        }
-        if (inputKeys['KeyA']) {
-            moved = this.move(-planeX, -planeY) || moved;
+        if (strafe !== 0) {
+            moved = this.move(planeX, planeY, strafe) || moved;
         }
         
         // Handle step sounds
@@ -330,8 +348,13 @@ class PlayerMovementBehavior extends MovementBehavior {
     }
 }
 
+// Distance in tiles at which an enemy counts a path waypoint as reached
+const PATH_WAYPOINT_RADIUS = 0.1;
+
 /**
  * EnemyMovementBehavior - Handles enemy movement towards targets
+ * With pathfindingEnabled, enemies follow A* paths through the maze (see pathfinding.js)
+ * instead of walking straight at the target
  */
 class EnemyMovementBehavior extends MovementBehavior {
     /**
@@ -344,8 +367,14 @@ class EnemyMovementBehavior extends MovementBehavior {
         
         // Enemy-specific movement properties
         this.target = null;
-        this.chaseSpeed = config.chaseSpeed || 0.02;
+        this.chaseSpeed = config.chaseSpeed || 1.2; // tiles per second
         this.pathfindingEnabled = config.pathfindingEnabled || false;
+        
+        // Cached path: waypoint tiles towards the tile the target was in when it was planned
+        this.path = null;
+        this.pathIndex = 0;
+        this.pathGoalX = -1;
+        this.pathGoalY = -1;
     }
     
     /**
@@ -355,8 +384,72 @@ class EnemyMovementBehavior extends MovementBehavior {
     onUpdate(deltaTime) {
         if (!this.target || !this.entity) return;
         
-        // Move towards target using chase speed
-        this.moveTowards(this.target, this.chaseSpeed / this.moveSpeed);
+        const speedMultiplier = this.chaseSpeed / this.moveSpeed;
+        const planner = window.gameState ? window.gameState.pathfinder : null;
+        if (!this.pathfindingEnabled || !planner) {
+            // Move towards target using chase speed
+            this.moveTowards(this.target, speedMultiplier);
+            return;
+        }
+        
+        this.followPath(planner, speedMultiplier);
+    }
+    
+    /**
+     * Walk the cached path towards the target, asking for a new one when the target changes tile
+     * Until the first path arrives, and once in the target's tile, the enemy heads straight for it
+     * @param {PathPlanner} planner - Planner to request paths from
+     * @param {number} speedMultiplier - Speed multiplier for this move
+     */
+    followPath(planner, speedMultiplier) {
+        const goalX = Math.floor(this.target.x);
+        const goalY = Math.floor(this.target.y);
+        if (goalX !== this.pathGoalX || goalY !== this.pathGoalY) {
+            this.pathGoalX = goalX;
+            this.pathGoalY = goalY;
+            planner.request(this, Math.floor(this.entity.x), Math.floor(this.entity.y), goalX, goalY,
+                (path) => this.setPath(path));
+        }
+        
+        const waypoint = this.path ? this.path[this.pathIndex] : null;
+        if (!waypoint) {
+            this.moveTowards(this.target, speedMultiplier);
+            return;
+        }
+        
+        const waypointX = waypoint.x + 0.5;
+        const waypointY = waypoint.y + 0.5;
+        if (Math.hypot(waypointX - this.entity.x, waypointY - this.entity.y) <= PATH_WAYPOINT_RADIUS) {
+            this.pathIndex++;
+            return;
+        }
+        
+        this.openDoor(waypoint.x, waypoint.y);
+        this.moveTowards({ x: waypointX, y: waypointY }, speedMultiplier);
+    }
+    
+    /**
+     * Take a planned path (callback of PathPlanner.request)
+     * @param {Object[]|null} path - Waypoint tiles, or null if the target cannot be reached
+     */
+    setPath(path) {
+        this.path = path;
+        this.pathIndex = 0;
+    }
+    
+    /**
+     * Open a closed door in a waypoint tile, as paths lead through unlocked doors
+     * @param {number} tileX - Tile column
+     * @param {number} tileY - Tile row
+     */
+    openDoor(tileX, tileY) {
+        const doors = window.gameState ? window.gameState.doors : null;
+        const door = doors ? doors.get(tileX, tileY) : null;
+        if (!door || door.locked || (door.state !== 'closed' && door.state !== 'closing')) return;
+        
+        if (doors.use(tileX, tileY, this.entity) === 'opened') {
+            this.entity.emitEvent('doorOpened', { door: door, entity: this.entity });
+        }
     }
     
     /**
@@ -380,15 +473,38 @@ class EnemyMovementBehavior extends MovementBehavior {
      */
     clearTarget() {
         this.target = null;
+        this.clearPath();
         this.stop();
     }
+    
+    /**
+     * Forget the cached path and any path still being planned
+     */
+    clearPath() {
+        if (window.gameState && window.gameState.pathfinder) {
+            window.gameState.pathfinder.cancel(this);
+        }
+        this.path = null;
+        this.pathIndex = 0;
+        this.pathGoalX = -1;
+        this.pathGoalY = -1;
+    }
+    
+    /**
+     * Clean up behavior resources
+     */
+    cleanup() {
+        this.clearPath();
+        super.cleanup();
+    }
 }
 
 // Export classes
 if (typeof window !== 'undefined') {
+    window.PATH_WAYPOINT_RADIUS = PATH_WAYPOINT_RADIUS;
     window.MovementBehavior = MovementBehavior;
     window.PlayerMovementBehavior = PlayerMovementBehavior;
     window.EnemyMovementBehavior = EnemyMovementBehavior;
 } else if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { MovementBehavior, PlayerMovementBehavior, EnemyMovementBehavior };
+    module.exports = { PATH_WAYPOINT_RADIUS, MovementBehavior, PlayerMovementBehavior, EnemyMovementBehavior };
 }
\ No newline at end of file
@@ -0,0 +1,213 @@
+// --- Doors ---
+
+// Seconds a door takes to slide fully open or shut
+const DOOR_SLIDE_TIME = 0.6;
+
+// Seconds a door stays fully open before it starts closing
+const DOOR_CLOSE_DELAY = 3;
+
+// Entity types a door will not close on (projectiles and impacts pass through)
+const DOOR_HOLDING_ENTITY_TYPES = ['player', 'enemy', 'pickup'];
+
+/**
+ * DoorSystem - State of the sliding doors in the level's door tiles
+ * The map only says where doors are (see DOOR_TYPES in game.js); how far each door
+ * is open, whether it is locked and when it closes are kept here
+ */
+class DoorSystem {
+    /**
+     * Create a new, empty DoorSystem
+     */
+    constructor() {
+        // Tile key -> door
+        this.doors = new Map();
+    }
+
+    /**
+     * Get the key of a tile
+     * @param {number} tileX - Tile column
+     * @param {number} tileY - Tile row
+     * @returns {number} Tile key
+     */
+    getKey(tileX, tileY) {
+        return tileY * SPATIAL_GRID_ROW_STRIDE + tileX;
+    }
+
+    /**
+     * Create a closed door for every door tile in a map, replacing any previous doors
+     * Doors span the tile across the corridor they sit in
+     * @param {number[][]} map - Level map
+     * @param {Object} doorTypes - Door tile IDs (see DOOR_TYPES)
+     */
+    reset(map, doorTypes) {
+        this.doors.clear();
+
+        for (let y = 0; y < map.length; y++) {
+            for (let x = 0; x < map[y].length; x++) {
+                const doorType = doorTypes[map[y][x]];
+                if (!doorType) continue;
+
+                // Walls left and right mean the corridor runs along Y, so the door spans X
+                const left = map[y][x - 1];
+                const right = map[y][x + 1];
+                this.doors.set(this.getKey(x, y), {
+                    x: x,
+                    y: y,
+                    spansX: left > 0 && right > 0,
+                    locked: doorType.locked,
+                    openAmount: 0, // 0 closed, 1 fully open
+                    state: 'closed', // closed, opening, open, closing
+                    timer: 0
+                });
+            }
+        }
+    }
+
+    /**
+     * Remove every door
+     */
+    clear() {
+        this.doors.clear();
+    }
+
+    /**
+     * Get the door in a tile
+     * @param {number} tileX - Tile column
+     * @param {number} tileY - Tile row
+     * @returns {Object|null} Door, or null if the tile has none
+     */
+    get(tileX, tileY) {
+        return this.doors.get(this.getKey(tileX, tileY)) || null;
+    }
+
+    /**
+     * Check whether the door in a tile blocks movement, bullets and sight
+     * Doors only let things through once they have slid fully open
+     * @param {number} tileX - Tile column
+     * @param {number} tileY - Tile row
+     * @returns {boolean} True if there is a door that is not fully open
+     */
+    isBlocking(tileX, tileY) {
+        const door = this.get(tileX, tileY);
+        return door !== null && door.openAmount < 1;
+    }
+
+    /**
+     * Try to open the door in a tile
+     * Locked doors open for a user holding the keycard and stay unlocked afterwards
+     * @param {number} tileX - Tile column
+     * @param {number} tileY - Tile row
+     * @param {Entity} user - Entity using the door
+     * @returns {string|null} 'opened', 'locked', or null if there is no door
+     */
+    use(tileX, tileY, user) {
+        const door = this.get(tileX, tileY);
+        if (!door) return null;
+
+        if (door.locked) {
+            if (!user.hasKeycard) return 'locked';
+            door.locked = false;
+        }
+
+        if (door.state === 'open') {
+            door.timer = 0;
+        } else {
+            door.state = 'opening';
+        }
+        return 'opened';
+    }
+
+    /**
+     * Slide moving doors and close open ones once their delay has passed
+     * A closing door that something steps into opens again
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     * @param {World} world - World whose entities can hold doors open
+     */
+    update(deltaTime, world) {
+        const slide = deltaTime / DOOR_SLIDE_TIME;
+
+        for (const door of this.doors.values()) {
+            switch (door.state) {
+                case 'opening':
+                    door.openAmount = Math.min(1, door.openAmount + slide);
+                    if (door.openAmount >= 1) {
+                        door.state = 'open';
+                        door.timer = 0;
+                    }
+                    break;
+
+                case 'open':
+                    door.timer += deltaTime;
+                    if (door.timer >= DOOR_CLOSE_DELAY && !this.isOccupied(door, world)) {
+                        door.state = 'closing';
+                    }
+                    break;
+
+                case 'closing':
+                    if (this.isOccupied(door, world)) {
+                        door.state = 'opening';
+                        break;
+                    }
+                    door.openAmount = Math.max(0, door.openAmount - slide);
+                    if (door.openAmount <= 0) {
+                        door.state = 'closed';
+                    }
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Check whether an entity that holds doors open is inside a door's tile
+     * @param {Object} door - Door to check
+     * @param {World} world - World to search
+     * @returns {boolean} True if the door must not close
+     */
+    isOccupied(door, world) {
+        const entities = world.getEntitiesNear(door.x + 0.5, door.y + 0.5, Math.SQRT1_2);
+        return entities.some(entity =>
+            DOOR_HOLDING_ENTITY_TYPES.includes(entity.type) &&
+            Math.floor(entity.x) === door.x && Math.floor(entity.y) === door.y);
+    }
+
+    /**
+     * Serialize door states for save games
+     * @returns {Object[]} Plain-data door states
+     */
+    serialize() {
+        return Array.from(this.doors.values(), door => ({
+            x: door.x,
+            y: door.y,
+            locked: door.locked,
+            openAmount: door.openAmount,
+            state: door.state,
+            timer: door.timer
+        }));
+    }
+
+    /**
+     * Restore door states written by serialize()
+     * Call reset() with the saved map first so the doors exist
+     * @param {Object[]} data - Saved door states
+     */
+    restore(data) {
+        for (const saved of data) {
+            const door = this.get(saved.x, saved.y);
+            if (!door) continue;
+
+            door.locked = saved.locked;
+            door.openAmount = saved.openAmount;
+            door.state = saved.state;
+            door.timer = saved.timer;
+        }
+    }
+}
+
+// Export the DoorSystem class
+if (typeof window !== 'undefined') {
+    window.DOOR_SLIDE_TIME = DOOR_SLIDE_TIME;
+    window.DOOR_CLOSE_DELAY = DOOR_CLOSE_DELAY;
+    window.DoorSystem = DoorSystem;
+} else if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DOOR_SLIDE_TIME, DOOR_CLOSE_DELAY, DoorSystem };
+}
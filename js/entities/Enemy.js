@@ -1,3 +1,15 @@
+// Seconds a corpse stays visible, over which the death animation plays
+const ENEMY_CORPSE_TIME = 0.5;
+
+// Seconds the firing frame of the attack animation shows after a shot
+const ENEMY_FIRING_FRAME_TIME = 0.2;
+
+// Radians per second a searching enemy turns while it looks around
+const ENEMY_LOOK_AROUND_SPEED = Math.PI / 2;
+
+// Radians per second an enemy turns towards its next patrol or wander stop while it pauses
+const ENEMY_TURN_SPEED = Math.PI;
+
 /**
  * Enemy - Base class for all enemy entities
  * Extends Entity with enemy-specific properties and behaviors
@@ -23,9 +35,13 @@ class Enemy extends Entity {
         // Enemy-specific properties
         this.enemyType = enemyType;
         this.state = 'idle';
-        this.attackTimer = 0;
         this.deathTimer = 0;
         
+        // Animation state (see ENEMY_ANIMATIONS)
+        this.facingAngle = 0; // Radians, map space
+        this.animationTime = 0;
+        this.firingTimer = 0;
+        
         // Store enemy configuration
         this.enemyConfig = config || {
             health: 100,
@@ -34,11 +50,11 @@ class Enemy extends Entity {
             scale: 1.0,
             aspectRatio: 0.8,
             score: 100,
-            attackCooldown: 120
+            attackCooldown: 2.0
         };
         
         // Movement properties
-        this.moveSpeed = this.enemyConfig.moveSpeed || 0.02;
+        this.moveSpeed = this.enemyConfig.moveSpeed || 1.2; // tiles per second
         
         // Initialize enemy-specific behaviors
         this.initializeBehaviors();
@@ -54,7 +70,10 @@ class Enemy extends Entity {
                 sightRange: this.enemyConfig.sightRange || 20,
                 attackRange: this.enemyConfig.attackRange || 10,
                 chaseRange: this.enemyConfig.chaseRange || 20,
-                loseTargetRange: this.enemyConfig.loseTargetRange || 30
+                loseTargetRange: this.enemyConfig.loseTargetRange || 30,
+                idleMode: this.enemyConfig.idleMode,
+                wanderRadius: this.enemyConfig.wanderRadius,
+                idlePauseTime: this.enemyConfig.idlePauseTime
             };
             this.addBehavior('ai', new window.AIBehavior(this, aiConfig));
         }
@@ -63,46 +82,95 @@ class Enemy extends Entity {
         if (window.EnemyMovementBehavior) {
             const movementConfig = {
                 moveSpeed: this.moveSpeed,
-                chaseSpeed: this.enemyConfig.chaseSpeed || this.moveSpeed
+                chaseSpeed: this.enemyConfig.chaseSpeed || this.moveSpeed,
+                pathfindingEnabled: this.enemyConfig.pathfindingEnabled || false
             };
             this.addBehavior('movement', new window.EnemyMovementBehavior(this, movementConfig));
         }
         
-        // Add attack behavior (will be implemented in next task)
-        // if (window.AttackBehavior) {
-        //     const attackConfig = {
-        //         damage: this.enemyConfig.damage,
-        //         attackCooldown: this.enemyConfig.attackCooldown,
-        //         attackRange: this.enemyConfig.attackRange || 10
-        //     };
-        //     this.addBehavior('attack', new window.AttackBehavior(this, attackConfig));
-        // }
+        // Add attack behavior, which attacks while the AI is in its attacking state
+        if (window.AttackBehavior) {
+            const attackConfig = {
+                damage: this.enemyConfig.damage,
+                attackCooldown: this.enemyConfig.attackCooldown,
+                attacks: this.enemyConfig.attacks
+            };
+            this.addBehavior('attack', new window.AttackBehavior(this, attackConfig));
+        }
     }
     
+    /**
+     * Update enemy state; dead enemies only run their death timer
+     * @param {number} deltaTime - Time elapsed since last update
+     */
+    update(deltaTime) {
+        if (this.state === 'dead') {
+            this.updateDeathTimer(deltaTime);
+            return;
+        }
+
+        super.update(deltaTime);
+    }
+
     /**
      * Entity-specific update logic
      * @param {number} deltaTime - Time elapsed since last update
      */
     onUpdate(deltaTime) {
-        // Update attack timer
-        if (this.attackTimer > 0) {
-            this.attackTimer--;
+        // Update the firing frame timer (attacks themselves are run by AttackBehavior)
+        if (this.firingTimer > 0) {
+            this.firingTimer = Math.max(0, this.firingTimer - deltaTime);
         }
-        
-        // Update death timer if dead
-        if (this.state === 'dead') {
-            this.deathTimer++;
-            if (this.deathTimer >= 30) { // 30 frames = 0.5 seconds at 60fps
-                this.markedForRemoval = true;
-            }
-        }
-        
+        this.animationTime += deltaTime;
+
         // Sync AI state with enemy state
         this.syncAIState();
+        this.updateFacing(deltaTime);
+    }
+
+    /**
+     * Advance the death timer and mark the corpse for removal when it runs out
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     */
+    updateDeathTimer(deltaTime) {
+        if (this.isHit > 0) {
+            this.isHit = Math.max(0, this.isHit - deltaTime);
+        }
+
+        this.deathTimer += deltaTime;
+        if (this.deathTimer >= ENEMY_CORPSE_TIME) {
+            this.markedForRemoval = true;
+        }
+    }
+
+    /**
+     * Turn towards the player while attacking, round and round while looking for them,
+     * towards the next stop while pausing on patrol, otherwise towards the direction of travel
+     * @param {number} deltaTime - Time elapsed since last update
+     */
+    updateFacing(deltaTime) {
+        const player = window.gameState ? window.gameState.player : null;
+        const movement = this.getBehavior('movement');
+        const ai = this.getBehavior('ai');
+
+        if (this.state === 'attacking' && player) {
+            this.facingAngle = Math.atan2(player.y - this.y, player.x - this.x);
+        } else if (ai && ai.isLookingAround && ai.isLookingAround()) {
+            this.facingAngle += ENEMY_LOOK_AROUND_SPEED * deltaTime;
+        } else if (ai && ai.getTurnTarget && ai.getTurnTarget()) {
+            const turnTarget = ai.getTurnTarget();
+            const targetAngle = Math.atan2(turnTarget.y - this.y, turnTarget.x - this.x);
+            const difference = Math.atan2(Math.sin(targetAngle - this.facingAngle), Math.cos(targetAngle - this.facingAngle));
+            const maxTurn = ENEMY_TURN_SPEED * deltaTime;
+            this.facingAngle += Math.max(-maxTurn, Math.min(maxTurn, difference));
+        } else if (movement && movement.getIsMoving()) {
+            this.facingAngle = Math.atan2(movement.lastDirY, movement.lastDirX);
+        }
     }
     
     /**
-     * Synchronize AI behavior state with enemy state
+     * Synchronize AI behavior state (idle, chasing, attacking, searching, investigating) with enemy state
+     * The renderer reads it back through getState() and getVisualProperties()
      */
     syncAIState() {
         const aiBehavior = this.getBehavior('ai');
@@ -114,6 +182,19 @@ class Enemy extends Entity {
         }
     }
     
+    /**
+     * React to a noise reaching the enemy's tile (see HearingSystem)
+     * @param {number} x - Noise X position
+     * @param {number} y - Noise Y position
+     * @param {number} loudness - Loudness left when it reached the enemy
+     */
+    hearNoise(x, y, loudness) {
+        const aiBehavior = this.getBehavior('ai');
+        if (this.state !== 'dead' && aiBehavior && aiBehavior.hearNoise) {
+            aiBehavior.hearNoise({ x: x, y: y }, loudness);
+        }
+    }
+    
     /**
      * Check if this enemy can see the player using line of sight
      * @param {Object} player - Player entity or position object
@@ -153,7 +234,7 @@ class Enemy extends Entity {
         
         while (true) {
             // Check if current position is a wall
-            if (map[y0] && map[y0][x0] === 1) return false;
+            if (map[y0] && map[y0][x0] > 0) return false;
             
             // Reached target
             if (x0 === x1 && y0 === y1) break;
@@ -173,34 +254,10 @@ class Enemy extends Entity {
     }
     
     /**
-     * Attack the player (placeholder - will be enhanced with AttackBehavior)
-     * @param {Object} player - Player entity to attack
+     * Show the firing frame and muzzle flash of a shot (called by AttackBehavior for each projectile)
      */
-    attackPlayer(player) {
-        if (!player || this.attackTimer > 0) return;
-        
-        // Set attack cooldown
-        this.attackTimer = this.enemyConfig.attackCooldown;
-        
-        // Create projectile towards player
-        const distance = this.getDistanceTo(player);
-        if (distance > 0) {
-            const direction = this.getDirectionTo(player);
-            
-            // Add projectile to game state
-            if (window.gameState && window.gameState.sprites) {
-                window.gameState.sprites.push({
-                    type: 'projectile',
-                    x: this.x,
-                    y: this.y,
-                    dirX: direction.x,
-                    dirY: direction.y,
-                    speed: 0.1,
-                    damage: this.enemyConfig.damage,
-                    color: '#FFA500'
-                });
-            }
-        }
+    showFiring() {
+        this.firingTimer = ENEMY_FIRING_FRAME_TIME;
     }
     
     /**
@@ -209,48 +266,71 @@ class Enemy extends Entity {
      * @param {Object} source - Source of the damage
      */
     onTakeDamage(amount, source) {
-        // Play enemy damage sound if available
-        if (window.audioManager && window.audioManager.play) {
-            window.audioManager.play('enemy_damage');
-        }
+        this.emitEvent('enemyDamaged', { enemy: this, amount: amount, source: source });
     }
     
     /**
-     * Handle enemy death
+     * Handle death without marking for removal so the corpse stays
+     * visible until the death timer runs out
      * @param {Object} source - Source that caused death
      */
+    onDeath(source) {
+        this.isActive = false;
+        this.onEntityDeath(source);
+    }
+    
+    /**
+     * Handle enemy death
+     * Score, the boss key drop and the exit door are handled by enemyKilled subscribers
+     * @param {Object} source - Source that caused death (usually a PlayerBullet)
+     */
     onEntityDeath(source) {
         this.state = 'dead';
         this.deathTimer = 0;
         
-        // Award score to player
-        if (window.gameState && window.gameState.player) {
-            window.gameState.player.score += this.enemyConfig.score;
-        }
+        // Credit the shooter rather than the bullet
+        const killer = source && source.source ? source.source : source;
         
-        // Handle boss-specific death behavior
-        if (this.enemyType === 'boss') {
-            this.handleBossDeath();
-        }
+        this.emitEvent('enemyKilled', {
+            enemy: this,
+            score: this.enemyConfig.score,
+            killer: killer
+        });
     }
     
     /**
-     * Handle boss-specific death behavior (drop key and spawn exit)
+     * Serialize enemy state for save games
+     * @returns {Object} Plain-data enemy state
      */
-    handleBossDeath() {
-        if (!window.gameState || !window.gameState.sprites) return;
-        
-        // Drop key at boss location
-        window.gameState.sprites.push({
-            x: this.x,
-            y: this.y,
-            type: 'pickup',
-            subType: 'key'
-        });
+    serialize() {
+        const attackBehavior = this.getBehavior('attack');
+        return {
+            ...super.serialize(),
+            state: this.state,
+            attackTimer: attackBehavior ? attackBehavior.cooldownTimer : 0,
+            deathTimer: this.deathTimer,
+            facingAngle: this.facingAngle
+        };
+    }
+    
+    /**
+     * Restore enemy state written by serialize()
+     * The AI starts over from idle and re-acquires the player on its own; only the attack
+     * cooldown carries over, not an attack that was winding up
+     * @param {Object} data - Saved enemy state
+     */
+    restore(data) {
+        super.restore(data);
+        const attackBehavior = this.getBehavior('attack');
+        if (attackBehavior) {
+            attackBehavior.cooldownTimer = data.attackTimer || 0;
+        }
+        this.deathTimer = data.deathTimer || 0;
+        this.facingAngle = data.facingAngle || 0;
         
-        // Spawn exit door
-        if (window.spawnExitDoor) {
-            window.spawnExitDoor();
+        if (data.state === 'dead') {
+            this.state = 'dead';
+            this.isActive = false;
         }
     }
     
@@ -278,26 +358,83 @@ class Enemy extends Entity {
         return { ...this.enemyConfig };
     }
     
+    /**
+     * Get the animation matching the enemy's state
+     * @returns {string} Animation name (key in ENEMY_ANIMATIONS)
+     */
+    getAnimation() {
+        if (this.state === 'dead') return 'death';
+        if (this.isHit > 0) return 'pain';
+        if (this.state === 'attacking') return 'attack';
+
+        const movement = this.getBehavior('movement');
+        return movement && movement.getIsMoving() ? 'walk' : 'idle';
+    }
+
+    /**
+     * Get the current frame of an animation
+     * Death follows the death timer and attack shows its firing frame after a shot;
+     * the others loop on the animation clock
+     * @param {string} name - Animation name (key in ENEMY_ANIMATIONS)
+     * @returns {number} Frame index within the animation
+     */
+    getAnimationFrame(name) {
+        const animation = window.ENEMY_ANIMATIONS[name];
+
+        switch (name) {
+            case 'death':
+                return Math.min(animation.frames - 1, Math.floor(this.deathTimer / animation.frameTime));
+            case 'attack':
+                return this.firingTimer > 0 ? 1 : 0;
+            case 'pain':
+                return 0;
+            default:
+                return Math.floor(this.animationTime / animation.frameTime) % animation.frames;
+        }
+    }
+
     /**
      * Get enemy visual properties for renderer
      * @returns {Object} Visual properties object
      */
     getVisualProperties() {
+        const animation = this.getAnimation();
         return {
             color: this.enemyConfig.color,
             scale: this.enemyConfig.scale,
             aspectRatio: this.enemyConfig.aspectRatio,
             isHit: this.isHit > 0,
-            state: this.state
+            state: this.state,
+            animation: animation,
+            animationFrame: this.getAnimationFrame(animation),
+            facingAngle: this.facingAngle
         };
     }
     
+    /**
+     * Light the enemy's muzzle flash while it fires, and a glow that builds up while an attack
+     * winds up so the player can see it coming
+     * @returns {Object|null} Light, or null when the enemy is neither firing nor winding up
+     */
+    getLight() {
+        if (!window.LIGHT_TYPES) return null;
+        if (this.firingTimer > 0) return window.LIGHT_TYPES.enemyMuzzleFlash;
+
+        const attackBehavior = this.getBehavior('attack');
+        const windUp = attackBehavior ? attackBehavior.getWindUpProgress() : 0;
+        if (windUp <= 0) return null;
+
+        const glow = window.LIGHT_TYPES.enemyWindUp;
+        return { radius: glow.radius, intensity: glow.intensity * windUp };
+    }
+
     /**
      * Check if enemy can attack
-     * @returns {boolean} True if enemy can attack
+     * @returns {boolean} True if enemy can start an attack
      */
     canAttack() {
-        return this.attackTimer <= 0 && this.state !== 'dead' && this.isAlive();
+        const attackBehavior = this.getBehavior('attack');
+        return this.state !== 'dead' && this.isAlive() && !!attackBehavior && attackBehavior.isReady();
     }
     
     /**
@@ -316,8 +453,8 @@ class Enemy extends Entity {
     onCleanup() {
         // Clean up enemy-specific resources
         this.enemyConfig = null;
-        this.attackTimer = 0;
         this.deathTimer = 0;
+        this.firingTimer = 0;
     }
 }
 
@@ -368,6 +505,28 @@ class BossEnemy extends Enemy {
     }
 }
 
+/**
+ * Enemy subclass for each enemy type
+ */
+const ENEMY_CLASSES = {
+    'grunt': GruntEnemy,
+    'sergeant': SergeantEnemy,
+    'commander': CommanderEnemy,
+    'boss': BossEnemy
+};
+
+/**
+ * Create an enemy using the subclass registered for its type
+ * @param {number} x - Initial X position
+ * @param {number} y - Initial Y position
+ * @param {string} enemyType - Type of enemy (grunt, sergeant, commander, boss)
+ * @returns {Enemy} New enemy instance
+ */
+function createEnemy(x, y, enemyType) {
+    const EnemyClass = ENEMY_CLASSES[enemyType];
+    return EnemyClass ? new EnemyClass(x, y) : new Enemy(x, y, enemyType);
+}
+
 // Export classes
 if (typeof window !== 'undefined') {
     window.Enemy = Enemy;
@@ -375,6 +534,7 @@ if (typeof window !== 'undefined') {
     window.SergeantEnemy = SergeantEnemy;
     window.CommanderEnemy = CommanderEnemy;
     window.BossEnemy = BossEnemy;
+    window.createEnemy = createEnemy;
 } else if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Enemy, GruntEnemy, SergeantEnemy, CommanderEnemy, BossEnemy };
+    module.exports = { Enemy, GruntEnemy, SergeantEnemy, CommanderEnemy, BossEnemy, createEnemy };
 }
\ No newline at end of file
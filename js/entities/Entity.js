@@ -17,7 +17,7 @@ class Entity {
         // Health and damage properties
         this.health = config.health || 100;
         this.maxHealth = config.health || 100;
-        this.isHit = 0; // Hit effect timer
+        this.isHit = 0; // Hit effect timer in seconds
 
         // Behavior composition system
         this.behaviors = new Map();
@@ -44,14 +44,14 @@ class Entity {
 
     /**
      * Update entity state and all attached behaviors
-     * @param {number} deltaTime - Time elapsed since last update
+     * @param {number} deltaTime - Time elapsed since last update in seconds
      */
     update(deltaTime) {
         if (!this.isActive) return;
 
         // Update hit effect timer
         if (this.isHit > 0) {
-            this.isHit--;
+            this.isHit = Math.max(0, this.isHit - deltaTime);
         }
 
         // Update all behaviors
@@ -83,7 +83,7 @@ class Entity {
 
         // Apply damage
         this.health -= amount;
-        this.isHit = 10; // Set hit effect duration
+        this.isHit = 0.15; // Set hit effect duration in seconds
 
         // Ensure health doesn't go below 0
         if (this.health < 0) {
@@ -207,6 +207,27 @@ class Entity {
         return this.isHit;
     }
 
+    /**
+     * Get entity visual properties for renderer (override in subclasses)
+     * @returns {Object} Visual properties object
+     */
+    getVisualProperties() {
+        return {
+            color: '#ffffff',
+            scale: 1.0,
+            aspectRatio: 1.0,
+            isHit: this.isHit > 0
+        };
+    }
+
+    /**
+     * Get the light this entity gives off (override in subclasses that glow)
+     * @returns {Object|null} Light with radius and intensity (see LIGHT_TYPES), or null
+     */
+    getLight() {
+        return null;
+    }
+
     /**
      * Get entity type information
      * @returns {Object} Type information object
@@ -263,6 +284,44 @@ class Entity {
         };
     }
 
+    /**
+     * Serialize the entity's persistent state for save games
+     * Subclasses extend the returned object with their own fields
+     * @returns {Object} Plain-data entity state
+     */
+    serialize() {
+        return {
+            type: this.type,
+            subType: this.subType,
+            x: this.x,
+            y: this.y,
+            health: this.health,
+            maxHealth: this.maxHealth
+        };
+    }
+
+    /**
+     * Restore persistent state written by serialize()
+     * @param {Object} data - Saved entity state
+     */
+    restore(data) {
+        this.x = data.x;
+        this.y = data.y;
+        this.health = data.health;
+        this.maxHealth = data.maxHealth;
+    }
+
+    /**
+     * Emit a gameplay event on the global event bus (no-op if the bus is not loaded)
+     * @param {string} eventName - Name of the event (see GAME_EVENTS in events.js)
+     * @param {Object} payload - Event payload
+     */
+    emitEvent(eventName, payload) {
+        if (window.eventBus) {
+            window.eventBus.emit(eventName, payload);
+        }
+    }
+
     /**
      * Clean up entity resources and behaviors
      */
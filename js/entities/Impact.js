@@ -0,0 +1,64 @@
+/**
+ * Impact - Short-lived burst effect left where a shot hits a wall
+ */
+class Impact extends Entity {
+    /**
+     * Create a new Impact
+     * @param {number} x - Initial X position
+     * @param {number} y - Initial Y position
+     * @param {Object} config - Configuration object (lifetime, color)
+     */
+    constructor(x, y, config = {}) {
+        super(x, y, { type: 'impact' });
+
+        this.lifetime = config.lifetime || 0.33; // seconds
+        this.maxLifetime = this.lifetime;
+        this.color = config.color || '#FFFF00';
+    }
+
+    /**
+     * Count down the effect lifetime
+     * @param {number} deltaTime - Time elapsed since last update
+     */
+    onUpdate(deltaTime) {
+        this.lifetime -= deltaTime;
+        if (this.lifetime <= 0) {
+            this.markedForRemoval = true;
+        }
+    }
+
+    /**
+     * Get impact visual properties for renderer
+     * The effect grows and fades as its lifetime runs out
+     * @returns {Object} Visual properties object
+     */
+    getVisualProperties() {
+        const remaining = Math.max(0, this.lifetime / this.maxLifetime);
+        return {
+            color: this.color,
+            scale: 0.2 + (1 - remaining) * 0.4,
+            aspectRatio: 1.0,
+            alpha: remaining,
+            emissive: true,
+            isHit: false
+        };
+    }
+
+    /**
+     * Light the surroundings of the impact, fading with the effect
+     * @returns {Object|null} Light, or null once it has faded
+     */
+    getLight() {
+        if (!window.LIGHT_TYPES || this.lifetime <= 0) return null;
+
+        const light = window.LIGHT_TYPES.impact;
+        return { radius: light.radius, intensity: light.intensity * this.lifetime / this.maxLifetime };
+    }
+}
+
+// Export the Impact class
+if (typeof window !== 'undefined') {
+    window.Impact = Impact;
+} else if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Impact;
+}
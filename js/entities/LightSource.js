@@ -0,0 +1,46 @@
+/**
+ * LightSource - Torch or lamp placed by the level generator
+ * Lights its surroundings through the light map (see lighting.js) and is drawn unshaded
+ */
+class LightSource extends Entity {
+    /**
+     * Create a new LightSource
+     * @param {number} x - Initial X position
+     * @param {number} y - Initial Y position
+     * @param {string} lightType - Type of light (torch, lamp)
+     */
+    constructor(x, y, lightType) {
+        super(x, y, { type: 'light', subType: lightType });
+    }
+
+    /**
+     * Get the light this source gives off
+     * @returns {Object|null} Light, or null if lighting is not loaded
+     */
+    getLight() {
+        return window.LIGHT_TYPES ? window.LIGHT_TYPES[this.subType] || null : null;
+    }
+
+    /**
+     * Get light source visual properties for renderer
+     * Torches are a narrow flame on the wall, lamps a round glow
+     * @returns {Object} Visual properties object
+     */
+    getVisualProperties() {
+        const isTorch = this.subType === 'torch';
+        return {
+            color: isTorch ? '#ffa040' : '#fff2b0',
+            scale: isTorch ? 0.2 : 0.25,
+            aspectRatio: isTorch ? 0.4 : 1.0,
+            emissive: true,
+            isHit: false
+        };
+    }
+}
+
+// Export the LightSource class
+if (typeof window !== 'undefined') {
+    window.LightSource = LightSource;
+} else if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LightSource;
+}
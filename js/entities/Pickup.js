@@ -0,0 +1,118 @@
+// Distance at which the player collects a pickup
+const PICKUP_COLLECT_RADIUS = 0.5;
+
+/**
+ * Pickup - Collectible item (ammo, health, shield, key, keycard, weapons)
+ * Collected by the player on contact (see Player.collectNearbyPickups)
+ */
+class Pickup extends Entity {
+    /**
+     * Create a new Pickup
+     * @param {number} x - Initial X position
+     * @param {number} y - Initial Y position
+     * @param {string} pickupType - Type of pickup (ammo, health, shield, key, keycard, shotgun, machinegun)
+     */
+    constructor(x, y, pickupType) {
+        super(x, y, { type: 'pickup', subType: pickupType });
+
+        // Distance at which the player collects this pickup
+        this.collectRadius = PICKUP_COLLECT_RADIUS;
+    }
+
+    /**
+     * Get pickup visual properties for renderer
+     * @returns {Object} Visual properties object
+     */
+    getVisualProperties() {
+        let color = '#ffffff';
+        let scale = 0.25;
+
+        switch (this.subType) {
+            case 'ammo':
+                color = '#ffff00';
+                break;
+            case 'health':
+                color = '#ff0000';
+                break;
+            case 'shield':
+                color = '#0000ff';
+                break;
+            case 'key':
+                color = '#f0e68c';
+                scale = 0.4;
+                break;
+            case 'keycard':
+                color = '#ff3030';
+                scale = 0.3;
+                break;
+            case 'shotgun':
+            case 'machinegun':
+                color = window.WEAPON_TYPES ? window.WEAPON_TYPES[this.subType].pickupColor : color;
+                scale = 0.35;
+                break;
+        }
+
+        return {
+            color: color,
+            scale: scale,
+            aspectRatio: 1.0,
+            isHit: false
+        };
+    }
+}
+
+/**
+ * ExitDoor - Level exit that advances to the next level once the player holds the key
+ */
+class ExitDoor extends Entity {
+    /**
+     * Create a new ExitDoor
+     * @param {number} x - Initial X position
+     * @param {number} y - Initial Y position
+     */
+    constructor(x, y) {
+        super(x, y, { type: 'exit' });
+
+        this.triggerRadius = 0.5;
+        this.triggered = false;
+    }
+
+    /**
+     * Complete the level when the player reaches the door with the key
+     * The levelCompleted subscriber in game.js moves on to the next level
+     * @param {number} deltaTime - Time elapsed since last update
+     */
+    onUpdate(deltaTime) {
+        if (this.triggered || !window.gameState) return;
+
+        const player = window.gameState.player;
+        if (!player || !player.hasKey) return;
+
+        if (this.getDistanceTo(player) < this.triggerRadius) {
+            this.triggered = true;
+            this.emitEvent('levelCompleted', { level: window.gameState.currentLevel, player: player });
+        }
+    }
+
+    /**
+     * Get exit visual properties for renderer
+     * @returns {Object} Visual properties object
+     */
+    getVisualProperties() {
+        return {
+            color: '#ffffff',
+            scale: 1.2,
+            aspectRatio: 0.5,
+            isHit: false
+        };
+    }
+}
+
+// Export classes
+if (typeof window !== 'undefined') {
+    window.PICKUP_COLLECT_RADIUS = PICKUP_COLLECT_RADIUS;
+    window.Pickup = Pickup;
+    window.ExitDoor = ExitDoor;
+} else if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PICKUP_COLLECT_RADIUS, Pickup, ExitDoor };
+}
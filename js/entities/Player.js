@@ -1,3 +1,6 @@
+// How far in front of the player the use action reaches for a door, in tiles
+const PLAYER_USE_DISTANCE = 1;
+
 /**
  * Player class - Extends Entity with player-specific functionality
  * Handles player movement, input processing, and player-specific properties
@@ -26,8 +29,8 @@ class Player extends Entity {
         this.planeY = config.planeY || 0.66;
         
         // Movement properties
-        this.moveSpeed = config.moveSpeed || 0.05;
-        this.rotSpeed = config.rotSpeed || 0.03;
+        this.moveSpeed = config.moveSpeed || 3.0; // tiles per second
+        this.rotSpeed = config.rotSpeed || 1.8; // radians per second
         
         // Player-specific properties
         this.shield = config.shield || 0;
@@ -36,6 +39,7 @@ class Player extends Entity {
         this.maxAmmo = config.maxAmmo || window.MAX_AMMO_CARRY || 200;
         this.score = config.score || 0;
         this.hasKey = config.hasKey || false;
+        this.hasKeycard = config.hasKeycard || false; // Opens locked doors
         this.stepTimer = config.stepTimer || 0;
         
         // Add player movement behavior
@@ -57,42 +61,57 @@ class Player extends Entity {
     
     /**
      * Handle input for player movement and actions
-     * @param {Object} keys - Key state object from input system
+     * @param {InputManager} input - Action state from the input system
      */
-    handleInput(keys) {
-        if (!keys) return;
+    handleInput(input) {
+        if (!input) return;
         
         // Delegate movement input to movement behavior
         const movementBehavior = this.getBehavior('movement');
         if (movementBehavior && movementBehavior.handleInput) {
-            movementBehavior.handleInput(keys);
+            movementBehavior.handleInput(input);
         }
         
         // Handle non-movement input
-        this.handleActionInput(keys);
+        this.handleActionInput(input);
     }
     
     /**
-     * Handle action input (shooting, reloading, weapon switching)
-     * @param {Object} keys - Key state object
+     * Handle action input (shooting, reloading, weapon switching, using doors)
+     * @param {InputManager} input - Action state from the input system
      */
-    handleActionInput(keys) {
+    handleActionInput(input) {
         if (!this.canAct()) return;
         
+        // Fire once per press; bursts and pellets are handled by the weapon manager
+        if (input.wasActionPressed('fire')) {
+            this.shoot();
+        }
+        
         // Reload input
-        if (keys['KeyR']) {
+        if (input.isActionDown('reload')) {
             this.reload();
         }
         
-        // Weapon switching input (only if player can act)
-        if (keys['Digit1']) {
-            this.switchWeapon('pistol');
+        // Open the door in front of the player
+        if (input.wasActionPressed('use')) {
+            this.useDoor();
         }
-        if (keys['Digit2']) {
-            this.switchWeapon('shotgun');
+        
+        // Weapon switching input - weaponN selects the Nth weapon type
+        const weaponTypes = window.WEAPON_TYPES ? Object.keys(window.WEAPON_TYPES) : [];
+        weaponTypes.forEach((weaponType, index) => {
+            if (input.isActionDown(`weapon${index + 1}`)) {
+                this.switchWeapon(weaponType);
+            }
+        });
+        
+        // Weapon cycling (gamepad bumpers by default)
+        if (input.wasActionPressed('nextWeapon')) {
+            this.cycleWeapon(1);
         }
-        if (keys['Digit3']) {
-            this.switchWeapon('machinegun');
+        if (input.wasActionPressed('previousWeapon')) {
+            this.cycleWeapon(-1);
         }
     }
     
@@ -103,11 +122,53 @@ class Player extends Entity {
     onUpdate(deltaTime) {
         // Update input cooldown
         if (this.inputCooldown > 0) {
-            this.inputCooldown--;
+            this.inputCooldown = Math.max(0, this.inputCooldown - deltaTime);
+        }
+
+        // Movement input is handled by the movement behavior,
+        // firing, reload and weapon switching are handled here
+        if (window.inputManager) {
+            this.handleActionInput(window.inputManager);
+        }
+
+        this.collectNearbyPickups();
+    }
+
+    /**
+     * Open the door in the tile the player is facing
+     * Locked doors need the keycard; either way the outcome is announced as an event
+     */
+    useDoor() {
+        if (!window.gameState || !window.gameState.doors) return;
+
+        const tileX = Math.floor(this.x + this.dirX * PLAYER_USE_DISTANCE);
+        const tileY = Math.floor(this.y + this.dirY * PLAYER_USE_DISTANCE);
+        const doors = window.gameState.doors;
+        const result = doors.use(tileX, tileY, this);
+
+        if (result === 'opened') {
+            this.emitEvent('doorOpened', { door: doors.get(tileX, tileY), entity: this });
+        } else if (result === 'locked') {
+            this.emitEvent('doorLocked', { door: doors.get(tileX, tileY), entity: this });
+        }
+    }
+
+    /**
+     * Collect the pickups the player is touching
+     * Only the grid cells around the player are searched, so far away pickups cost nothing
+     */
+    collectNearbyPickups() {
+        if (!this.isAlive() || !window.gameState || !window.gameState.world) return;
+
+        const pickups = window.gameState.world.getEntitiesNear(this.x, this.y, window.PICKUP_COLLECT_RADIUS, 'pickup');
+        for (let i = 0; i < pickups.length; i++) {
+            const pickup = pickups[i];
+            if (pickup.shouldRemove() || this.getDistanceTo(pickup) >= pickup.collectRadius) continue;
+
+            if (this.collectPickup(pickup)) {
+                pickup.markedForRemoval = true;
+            }
         }
-        
-        // Handle any player-specific update logic here
-        // (Most movement logic is handled by the movement behavior)
     }
     
     /**
@@ -126,18 +187,15 @@ class Player extends Entity {
         const healthDamage = amount - shieldDamage;
         this.health -= healthDamage;
         
-        // Set hit effect duration
-        this.isHit = 10;
+        // Set hit effect duration in seconds
+        this.isHit = 0.15;
         
         // Ensure health doesn't go below 0
         if (this.health < 0) {
             this.health = 0;
         }
         
-        // Play damage sound
-        if (window.audioManager && window.audioManager.play) {
-            window.audioManager.play('player_damage');
-        }
+        this.emitEvent('playerDamaged', { player: this, amount: amount, source: source });
         
         // Call parent damage handling for any additional logic
         this.onTakeDamage(amount, source);
@@ -156,20 +214,8 @@ class Player extends Entity {
         // Ensure player is marked as inactive
         this.isActive = false;
         
-        // Game over logic
-        const finalScore = this.score;
-        const currentLevel = window.gameState ? window.gameState.currentLevel : 1;
-        
-        // Play death sound if available
-        if (window.audioManager && window.audioManager.play) {
-            window.audioManager.play('player_death');
-        }
-        
-        // Show game over message and restart
-        setTimeout(() => {
-            alert(`GAME OVER! Final Score: ${finalScore} on Level ${currentLevel}`);
-            document.location.reload();
-        }, 100); // Small delay to ensure sound plays
+        // Game over is handled by the playerKilled subscriber in game.js
+        this.emitEvent('playerKilled', { player: this, source: source });
     }
     
     /**
@@ -219,6 +265,14 @@ class Player extends Entity {
                 }
                 break;
                 
+            case 'keycard':
+                if (!this.hasKeycard) {
+                    this.hasKeycard = true;
+                    scoreGained = 100;
+                    collected = true;
+                }
+                break;
+                
             case 'shotgun':
             case 'machinegun':
                 if (this.pickupWeapon(pickup.subType)) {
@@ -233,14 +287,14 @@ class Player extends Entity {
                 return false;
         }
         
-        // Add score if pickup was collected
-        if (collected && scoreGained > 0) {
-            this.addScore(scoreGained);
-        }
-        
-        // Play pickup sound if collected
-        if (collected && window.audioManager && window.audioManager.play) {
-            window.audioManager.play('pickup');
+        // Score, sound and HUD feedback are handled by event subscribers
+        if (collected) {
+            this.emitEvent('pickupCollected', {
+                pickup: pickup,
+                subType: pickup.subType,
+                player: this,
+                score: scoreGained
+            });
         }
         
         return collected;
@@ -286,6 +340,20 @@ class Player extends Entity {
         return false;
     }
     
+    /**
+     * Switch to the next or previous owned weapon
+     * @param {number} step - 1 for the next weapon, -1 for the previous one
+     * @returns {boolean} True if weapon was switched successfully
+     */
+    cycleWeapon(step) {
+        if (!this.isActive) return false;
+        
+        if (window.weaponManager && window.weaponManager.cycleWeapon) {
+            return window.weaponManager.cycleWeapon(step);
+        }
+        return false;
+    }
+    
     /**
      * Pick up a weapon
      * @param {string} weaponType - Type of weapon to pick up
@@ -300,6 +368,42 @@ class Player extends Entity {
         return false;
     }
     
+    /**
+     * Serialize player stats and view direction for save games
+     * @returns {Object} Plain-data player state
+     */
+    serialize() {
+        return {
+            ...super.serialize(),
+            dirX: this.dirX,
+            dirY: this.dirY,
+            planeX: this.planeX,
+            planeY: this.planeY,
+            shield: this.shield,
+            ammo: this.ammo,
+            score: this.score,
+            hasKey: this.hasKey,
+            hasKeycard: this.hasKeycard
+        };
+    }
+    
+    /**
+     * Restore player state written by serialize()
+     * @param {Object} data - Saved player state
+     */
+    restore(data) {
+        super.restore(data);
+        this.dirX = data.dirX;
+        this.dirY = data.dirY;
+        this.planeX = data.planeX;
+        this.planeY = data.planeY;
+        this.shield = data.shield;
+        this.ammo = data.ammo;
+        this.score = data.score;
+        this.hasKey = data.hasKey;
+        this.hasKeycard = data.hasKeycard || false;
+    }
+    
     /**
      * Get player position for renderer integration
      * @returns {Object} Position object with x, y, direction, and plane vectors
@@ -315,6 +419,14 @@ class Player extends Entity {
         };
     }
     
+    /**
+     * Get the dim light the player carries
+     * @returns {Object|null} Light, or null if lighting is not loaded
+     */
+    getLight() {
+        return window.LIGHT_TYPES ? window.LIGHT_TYPES.player : null;
+    }
+
     /**
      * Get player health information including shield
      * @returns {Object} Health object with current health, shield, and percentages
@@ -387,6 +499,21 @@ class Player extends Entity {
         };
     }
     
+    /**
+     * Rotate the player's direction and camera plane
+     * @param {number} angle - Rotation angle in radians (positive turns left)
+     */
+    rotate(angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const oldDirX = this.dirX;
+        this.dirX = this.dirX * cos - this.dirY * sin;
+        this.dirY = oldDirX * sin + this.dirY * cos;
+        const oldPlaneX = this.planeX;
+        this.planeX = this.planeX * cos - this.planeY * sin;
+        this.planeY = oldPlaneX * sin + this.planeY * cos;
+    }
+    
     /**
      * Set player direction vectors (for camera rotation)
      * @param {number} dirX - New X direction
@@ -501,6 +628,7 @@ class Player extends Entity {
         this.shield = 0;
         this.ammo = this.maxAmmo;
         this.hasKey = false;
+        this.hasKeycard = false;
         this.stepTimer = 0;
         this.isHit = 0;
         this.isActive = true;
@@ -0,0 +1,232 @@
+// Hit distances in tiles between a shot and its target
+const ENEMY_PROJECTILE_HIT_RADIUS = 0.5;
+const PLAYER_BULLET_HIT_RADIUS = 0.3;
+
+/**
+ * Projectile - Base class for moving shots (enemy projectiles and player bullets)
+ * Moves in a straight line and reacts to walls and targets
+ */
+class Projectile extends Entity {
+    /**
+     * Create a new Projectile
+     * @param {number} x - Initial X position
+     * @param {number} y - Initial Y position
+     * @param {Object} config - Configuration object (type, dirX, dirY, speed, damage, color, lifetime, lightType)
+     */
+    constructor(x, y, config = {}) {
+        super(x, y, { type: config.type || 'projectile' });
+
+        this.dirX = config.dirX || 0;
+        this.dirY = config.dirY || 0;
+        this.speed = config.speed || 6; // tiles per second
+        this.damage = config.damage || 0;
+        this.color = config.color || '#FFA500';
+        this.scale = config.scale || 0.15;
+        this.source = config.source || null;
+
+        // Kind of light the projectile glows with (see LIGHT_TYPES)
+        this.lightType = config.lightType || null;
+
+        // Lifetime in seconds, Infinity for projectiles that only die on impact
+        this.lifetime = config.lifetime || Infinity;
+    }
+
+    /**
+     * Move the projectile and resolve wall and target collisions
+     * @param {number} deltaTime - Time elapsed since last update
+     */
+    onUpdate(deltaTime) {
+        const previousX = this.x;
+        const previousY = this.y;
+        this.x += this.dirX * this.speed * deltaTime;
+        this.y += this.dirY * this.speed * deltaTime;
+        this.lifetime -= deltaTime;
+
+        if (this.isInsideWall()) {
+            this.onWallHit(previousX, previousY);
+            this.markedForRemoval = true;
+            return;
+        }
+
+        if (this.lifetime <= 0) {
+            this.markedForRemoval = true;
+            return;
+        }
+
+        if (this.checkTargetHit()) {
+            this.markedForRemoval = true;
+        }
+    }
+
+    /**
+     * Check whether the projectile is inside a wall tile or a door that is not fully open
+     * @returns {boolean} True if the current tile is solid
+     */
+    isInsideWall() {
+        const map = window.gameState ? window.gameState.map : null;
+        if (!map) return true;
+
+        if (window.isSolidTile) {
+            return window.isSolidTile(Math.floor(this.x), Math.floor(this.y));
+        }
+
+        const row = map[Math.floor(this.y)];
+        return !row || row[Math.floor(this.x)] !== 0;
+    }
+
+    /**
+     * Handle hitting a wall (override in subclasses)
+     * @param {number} openX - X position before the move into the wall (still in an open tile)
+     * @param {number} openY - Y position before the move into the wall
+     */
+    onWallHit(openX, openY) {
+        // Override in subclasses for impact effects
+    }
+
+    /**
+     * Check for and apply a hit on a target (override in subclasses)
+     * @returns {boolean} True if the projectile hit something and should be removed
+     */
+    checkTargetHit() {
+        return false;
+    }
+
+    /**
+     * Spawn an impact effect at the projectile position and announce the impact
+     * @param {number} lifetime - Impact effect lifetime in seconds
+     */
+    spawnImpact(lifetime) {
+        if (window.gameState && window.gameState.world && window.Impact) {
+            window.gameState.world.add(new window.Impact(this.x, this.y, {
+                lifetime: lifetime,
+                color: this.color
+            }));
+        }
+
+        this.emitEvent('projectileImpact', { projectile: this, x: this.x, y: this.y });
+    }
+
+    /**
+     * Get projectile visual properties for renderer
+     * @returns {Object} Visual properties object
+     */
+    getVisualProperties() {
+        return {
+            color: this.color,
+            scale: this.scale,
+            aspectRatio: 1.0,
+            emissive: true,
+            isHit: false
+        };
+    }
+
+    /**
+     * Get the light the projectile glows with
+     * @returns {Object|null} Light, or null for projectiles that do not glow
+     */
+    getLight() {
+        return this.lightType && window.LIGHT_TYPES ? window.LIGHT_TYPES[this.lightType] : null;
+    }
+}
+
+/**
+ * EnemyProjectile - Shot fired by an enemy, damages the player on contact
+ */
+class EnemyProjectile extends Projectile {
+    /**
+     * Create a new EnemyProjectile
+     * @param {number} x - Initial X position
+     * @param {number} y - Initial Y position
+     * @param {Object} config - Configuration object (dirX, dirY, speed, damage, color)
+     */
+    constructor(x, y, config = {}) {
+        super(x, y, { scale: 0.15, lightType: 'projectile', ...config, type: 'projectile' });
+    }
+
+    /**
+     * Leave an orange impact on walls
+     */
+    onWallHit() {
+        this.color = '#FF6600';
+        this.spawnImpact(0.25);
+    }
+
+    /**
+     * Damage the player on contact
+     * @returns {boolean} True if the player was hit
+     */
+    checkTargetHit() {
+        if (!window.gameState || !window.gameState.world) return false;
+
+        const players = window.gameState.world.getEntitiesNear(this.x, this.y, ENEMY_PROJECTILE_HIT_RADIUS, 'player');
+        for (let i = 0; i < players.length; i++) {
+            const player = players[i];
+            if (!player.isAlive()) continue;
+
+            player.takeDamage(this.damage, this);
+            return true;
+        }
+        return false;
+    }
+}
+
+/**
+ * PlayerBullet - Shot fired by the player's weapon, damages the first enemy it touches
+ */
+class PlayerBullet extends Projectile {
+    /**
+     * Create a new PlayerBullet
+     * @param {number} x - Initial X position
+     * @param {number} y - Initial Y position
+     * @param {Object} config - Configuration object (dirX, dirY, speed, damage, color, lifetime)
+     */
+    constructor(x, y, config = {}) {
+        super(x, y, { scale: 0.1, lifetime: 1.67, lightType: 'playerBullet', ...config, type: 'playerBullet' });
+    }
+
+    /**
+     * Leave an impact in the bullet's colour on walls, loud enough for nearby enemies to hear
+     * The noise starts from the open tile the bullet hit the wall from, as noise does not
+     * spread out of solid tiles
+     * @param {number} openX - X position before the move into the wall
+     * @param {number} openY - Y position before the move into the wall
+     */
+    onWallHit(openX, openY) {
+        this.spawnImpact(0.33);
+        if (window.NOISE_LOUDNESS) {
+            this.emitEvent('noise', { x: openX, y: openY, loudness: window.NOISE_LOUDNESS.impact, source: this });
+        }
+    }
+
+    /**
+     * Damage the first living enemy within hit range
+     * @returns {boolean} True if an enemy was hit
+     */
+    checkTargetHit() {
+        if (!window.gameState || !window.gameState.world) return false;
+
+        const enemies = window.gameState.world.getEntitiesNear(this.x, this.y, PLAYER_BULLET_HIT_RADIUS, 'enemy');
+        for (let i = 0; i < enemies.length; i++) {
+            const enemy = enemies[i];
+            if (!enemy.isAlive()) continue;
+
+            enemy.takeDamage(this.damage, this);
+            return true;
+        }
+        return false;
+    }
+}
+
+// Export classes
+if (typeof window !== 'undefined') {
+    window.ENEMY_PROJECTILE_HIT_RADIUS = ENEMY_PROJECTILE_HIT_RADIUS;
+    window.PLAYER_BULLET_HIT_RADIUS = PLAYER_BULLET_HIT_RADIUS;
+    window.Projectile = Projectile;
+    window.EnemyProjectile = EnemyProjectile;
+    window.PlayerBullet = PlayerBullet;
+} else if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ENEMY_PROJECTILE_HIT_RADIUS, PLAYER_BULLET_HIT_RADIUS,
+        Projectile, EnemyProjectile, PlayerBullet
+    };
+}
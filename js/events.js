@@ -0,0 +1,150 @@
+// --- Game Event Bus ---
+
+/**
+ * Known gameplay events and the payload fields each one carries
+ * Emitting or subscribing to an event not listed here logs a warning
+ */
+const GAME_EVENTS = {
+    enemyDamaged: ['enemy', 'amount', 'source'],
+    enemyKilled: ['enemy', 'score', 'killer'],
+    pickupCollected: ['pickup', 'subType', 'player', 'score'],
+    weaponFired: ['weaponType', 'weapon', 'player'],
+    weaponReloadStarted: ['weaponType', 'weapon'],
+    projectileImpact: ['projectile', 'x', 'y'],
+    doorOpened: ['door', 'entity'],
+    doorLocked: ['door', 'entity'],
+    enemyAttackWindUp: ['enemy', 'attack'],
+    playerStep: ['player'],
+    noise: ['x', 'y', 'loudness', 'source'],
+    playerDamaged: ['player', 'amount', 'source'],
+    playerKilled: ['player', 'source'],
+    levelStarted: ['level'],
+    levelCompleted: ['level', 'player']
+};
+
+/**
+ * EventBus - Publish/subscribe hub for gameplay events
+ * Systems emit what happened; audio, scoring, HUD and stats subscribe to react
+ */
+class EventBus {
+    /**
+     * Create a new EventBus
+     * @param {Object} eventTypes - Map of event name to required payload fields
+     */
+    constructor(eventTypes = GAME_EVENTS) {
+        this.eventTypes = eventTypes;
+        this.handlers = new Map();
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} eventName - Name of the event
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    on(eventName, handler) {
+        this.checkEventName(eventName);
+
+        if (!this.handlers.has(eventName)) {
+            this.handlers.set(eventName, []);
+        }
+        this.handlers.get(eventName).push(handler);
+
+        return () => this.off(eventName, handler);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} eventName - Name of the event
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Unsubscribe function
+     */
+    once(eventName, handler) {
+        const unsubscribe = this.on(eventName, (payload) => {
+            unsubscribe();
+            handler(payload);
+        });
+        return unsubscribe;
+    }
+
+    /**
+     * Unsubscribe a handler from an event
+     * @param {string} eventName - Name of the event
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(eventName, handler) {
+        const handlers = this.handlers.get(eventName);
+        if (!handlers) return;
+
+        const index = handlers.indexOf(handler);
+        if (index !== -1) {
+            handlers.splice(index, 1);
+        }
+    }
+
+    /**
+     * Emit an event to all subscribers
+     * A failing handler is logged and does not stop the others
+     * @param {string} eventName - Name of the event
+     * @param {Object} payload - Event payload
+     */
+    emit(eventName, payload = {}) {
+        this.checkEventName(eventName);
+        this.checkPayload(eventName, payload);
+
+        const handlers = this.handlers.get(eventName);
+        if (!handlers || handlers.length === 0) return;
+
+        // Copy so handlers can unsubscribe while the event is dispatched
+        for (const handler of handlers.slice()) {
+            try {
+                handler(payload);
+            } catch (e) {
+                console.error(`EventBus: Handler for '${eventName}' failed:`, e);
+            }
+        }
+    }
+
+    /**
+     * Warn about event names that are not registered
+     * @param {string} eventName - Name of the event
+     */
+    checkEventName(eventName) {
+        if (!this.eventTypes[eventName]) {
+            console.warn(`EventBus: Unknown event '${eventName}'`);
+        }
+    }
+
+    /**
+     * Warn about payloads missing a registered field
+     * @param {string} eventName - Name of the event
+     * @param {Object} payload - Event payload
+     */
+    checkPayload(eventName, payload) {
+        const fields = this.eventTypes[eventName] || [];
+        for (const field of fields) {
+            if (!(field in payload)) {
+                console.warn(`EventBus: Event '${eventName}' is missing payload field '${field}'`);
+            }
+        }
+    }
+
+    /**
+     * Remove all subscribers
+     */
+    clear() {
+        this.handlers.clear();
+    }
+}
+
+// Global event bus instance
+const eventBus = new EventBus();
+
+// --- Exports ---
+if (typeof window !== 'undefined') {
+    window.GAME_EVENTS = GAME_EVENTS;
+    window.EventBus = EventBus;
+    window.eventBus = eventBus;
+} else if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GAME_EVENTS, EventBus, eventBus };
+}
@@ -2,41 +2,102 @@
 const MAX_HEALTH = 100;
 const MAX_SHIELD = 100;
 const MAX_AMMO_CARRY = 200; // Increased for machine gun
+const FIXED_TIMESTEP = 1 / 60; // Simulation step in seconds
 
 const ENEMY_TYPES = {
-    'grunt': { health: 100, damage: 10, color: '#00ff00', scale: 1.0, aspectRatio: 0.8, score: 100, attackCooldown: 120 },
-    'sergeant': { health: 150, damage: 20, color: '#00bfff', scale: 1.1, aspectRatio: 0.8, score: 200, attackCooldown: 100 },
-    'commander': { health: 200, damage: 30, color: '#ff4500', scale: 1.2, aspectRatio: 0.8, score: 300, attackCooldown: 80 },
-    'boss': { health: 500, damage: 50, color: '#ff00ff', scale: 1.5, aspectRatio: 0.8, score: 1000, attackCooldown: 60 }
+    // attackCooldown and idlePauseTime are in seconds. pathfindingEnabled types chase along A* paths
+    // instead of straight lines. idleMode is what the enemy does until it spots the player: 'stand',
+    // 'patrol' (a route through the corridors, see assignPatrolRoutes) or 'wander' (around its spawn
+    // point, up to wanderRadius tiles away). attacks are the strategies it attacks with, the first
+    // one in range winning (see ATTACK_STRATEGIES)
+    'grunt': { health: 100, damage: 10, color: '#00ff00', scale: 1.0, aspectRatio: 0.8, score: 100, attackCooldown: 2.0,
+        pathfindingEnabled: true, idleMode: 'wander', wanderRadius: 4, idlePauseTime: 2, attacks: ['single'] },
+    'sergeant': { health: 150, damage: 20, color: '#00bfff', scale: 1.1, aspectRatio: 0.8, score: 200, attackCooldown: 1.67,
+        pathfindingEnabled: true, idleMode: 'patrol', idlePauseTime: 1.5, attacks: ['burst'] },
+    'commander': { health: 200, damage: 30, color: '#ff4500', scale: 1.2, aspectRatio: 0.8, score: 300, attackCooldown: 1.33,
+        pathfindingEnabled: true, idleMode: 'patrol', idlePauseTime: 1, attacks: ['spread'] },
+    'boss': { health: 500, damage: 50, color: '#ff00ff', scale: 1.5, aspectRatio: 0.8, score: 1000, attackCooldown: 1.0,
+        pathfindingEnabled: true, idleMode: 'stand', attacks: ['lunge', 'chargeUp'] }
 };
 
+// Directions each enemy is drawn from, as columns of its sprite sheet
+const ENEMY_VIEW_DIRECTIONS = 8;
+
+/**
+ * Enemy animations and the sprite sheet rows holding their frames
+ * Each row is one frame seen from every view direction; frameTime is the seconds per frame
+ * of animations that play on a clock (see Enemy.getAnimationFrame)
+ */
+const ENEMY_ANIMATIONS = {
+    idle: { row: 0, frames: 1, frameTime: 1 },
+    walk: { row: 1, frames: 4, frameTime: 0.15 },
+    attack: { row: 5, frames: 2 }, // Aiming, then firing
+    pain: { row: 7, frames: 1 },
+    death: { row: 8, frames: 4, frameTime: 0.125 } // Spans the time the corpse stays visible
+};
+
+// Rows in an enemy sprite sheet
+const ENEMY_SPRITE_ROWS = 12;
+
+/**
+ * Wall tile IDs stored in gameState.map (0 is an empty floor tile)
+ * Each ID has its own texture in the wall texture registry (see generateTextures in setup.js)
+ */
+const WALL_TYPES = {
+    1: { name: 'brick', minimapColor: 'rgba(200, 140, 100, 0.6)' },
+    2: { name: 'stone', minimapColor: 'rgba(200, 200, 200, 0.6)' },
+    3: { name: 'metal', minimapColor: 'rgba(120, 160, 200, 0.6)' },
+    4: { name: 'wood', minimapColor: 'rgba(170, 120, 60, 0.6)' },
+    5: { name: 'tech', minimapColor: 'rgba(80, 220, 200, 0.6)' }
+};
+
+// Number of regions a level's walls are split into, each built from one wall type
+const WALL_REGION_COUNT = 6;
+
+/**
+ * Door tile IDs stored in gameState.map, after the wall types
+ * Door tiles block like walls until their door slides open (see doors.js)
+ */
+const DOOR_TYPES = {
+    6: { name: 'door', locked: false, minimapColor: 'rgba(230, 190, 60, 0.8)' },
+    7: { name: 'lockedDoor', locked: true, minimapColor: 'rgba(230, 60, 60, 0.8)' }
+};
+
+// Doors placed in each level's corridors, of which the first few are locked
+const DOORS_PER_LEVEL = 6;
+const LOCKED_DOORS_PER_LEVEL = 1;
+
+// Ambient light dims from level to level down to MIN_AMBIENT_LIGHT, so deeper levels are
+// lit mostly by their torches and lamps and the stretches between them stay dark (see lighting.js)
+const BASE_AMBIENT_LIGHT = 0.45;
+const AMBIENT_LIGHT_PER_LEVEL = 0.05;
+const MIN_AMBIENT_LIGHT = 0.1;
+
+// Wall torches and junction lamps placed in each level, at least LIGHT_SPACING tiles apart
+const TORCHES_PER_LEVEL = 10;
+const LAMPS_PER_LEVEL = 3;
+const LIGHT_SPACING = 4;
+
 // --- Game State ---
 let gameState = {
     currentLevel: 1,
-    player: {
-        x: 0, y: 0,
-        dirX: -1, dirY: 0,
-        planeX: 0, planeY: 0.66,
-        moveSpeed: 0.05, rotSpeed: 0.03,
-        health: MAX_HEALTH,
-        shield: 0,
-        ammo: MAX_AMMO_CARRY,
-        score: 0,
-        isHit: 0,
-        hasKey: false,
-        stepTimer: 0
-    },
+    player: null, // Player entity, created in initializeGameState()
     map: [],
     mapWidth: 25, // Must be odd
     mapHeight: 25, // Must be odd
-    sprites: [],
-    zBuffer: null // Will be initialized after canvas setup
+    world: new World(), // Registry of all live entities in the level
+    doors: new DoorSystem(), // Open/closed state of the level's door tiles
+    lightMap: new LightMap(), // Brightness of every tile, rebuilt each step
+    pathfinder: new PathPlanner(), // Enemy path requests, planned a few per step
+    hearing: new HearingSystem(), // Carries noises through the level to the enemies
+    isGameOver: false,
+    zBuffer: null // Will be initialized by initializeCanvas()
 };
 
 // --- Notification System ---
 let notification = { message: '', timer: 0 };
 
-function showNotification(message, duration = 120) { // 120 frames = 2 seconds at 60fps
+function showNotification(message, duration = 2) { // duration in seconds
     notification.message = message;
     notification.timer = duration;
 }
@@ -53,42 +114,34 @@ function hideLoadingScreen() {
 }
 
 /**
- * Initialize game state with proper zBuffer size
+ * Initialize game state for a new run
  */
 function initializeGameState() {
-    // Initialize zBuffer after canvas is set up
-    gameState.zBuffer = new Array(screenWidth);
-    
     // Reset player to initial state
-    gameState.player = {
-        x: 0, y: 0,
-        dirX: -1, dirY: 0,
-        planeX: 0, planeY: 0.66,
-        moveSpeed: 0.05, rotSpeed: 0.03,
-        health: MAX_HEALTH,
-        shield: 0,
-        ammo: MAX_AMMO_CARRY,
-        score: 0,
-        isHit: 0,
-        hasKey: false,
-        stepTimer: 0
-    };
+    gameState.player = new Player(0, 0);
     
     gameState.currentLevel = 1;
-    gameState.sprites = [];
+    gameState.world.clear();
     gameState.map = [];
+    gameState.doors.clear();
+    gameState.lightMap.clear();
+    gameState.pathfinder.clear();
+    gameState.isGameOver = false;
+    weaponManager.reset();
+    gameStats.reset();
 }/**
  * G
 enerate map using randomized DFS maze algorithm
+ * @param {SeededRandom} random - Random stream for this level's layout
  */
-function generateMap() {
+function generateMap(random) {
     const w = gameState.mapWidth;
     const h = gameState.mapHeight;
     const map = Array.from({ length: h }, () => Array(w).fill(1));
 
     function carve(cx, cy) {
         const directions = [[0, -2], [0, 2], [-2, 0], [2, 0]];
-        directions.sort(() => Math.random() - 0.5);
+        random.shuffle(directions);
 
         for (const [dx, dy] of directions) {
             const nx = cx + dx;
@@ -108,28 +161,275 @@ function generateMap() {
     // Open up some dead ends to make it less maze-like
     let openings = (w * h) / 10;
     while (openings > 0) {
-        const x = Math.floor(Math.random() * (w - 2)) + 1;
-        const y = Math.floor(Math.random() * (h - 2)) + 1;
+        const x = random.int(w - 2) + 1;
+        const y = random.int(h - 2) + 1;
         if (map[y][x] === 1) {
             map[y][x] = 0;
             openings--;
         }
     }
 
+    // Walls are carved as 1 above, then given their final type by region
+    assignWallTypes(map, random.derive('walls'));
+    placeDoors(map, random.derive('doors'));
+
     gameState.map = map;
+    gameState.doors.reset(map, DOOR_TYPES);
+}
+
+/**
+ * Split the map into regions around random centres and build each region's walls from one wall type
+ * Every wall tile takes the type of its nearest region centre
+ * @param {number[][]} map - Map with every wall tile set to 1
+ * @param {SeededRandom} random - Random stream for the regions
+ */
+function assignWallTypes(map, random) {
+    const h = map.length;
+    const w = map[0].length;
+    const wallTypeIds = Object.keys(WALL_TYPES).map(Number);
+
+    const regions = [];
+    for (let i = 0; i < WALL_REGION_COUNT; i++) {
+        regions.push({ x: random.int(w), y: random.int(h), wallType: random.pick(wallTypeIds) });
+    }
+
+    for (let y = 0; y < h; y++) {
+        for (let x = 0; x < w; x++) {
+            if (map[y][x] === 0) continue;
+
+            let nearest = regions[0];
+            let nearestDistance = Infinity;
+            for (const region of regions) {
+                const distance = (region.x - x) ** 2 + (region.y - y) ** 2;
+                if (distance < nearestDistance) {
+                    nearest = region;
+                    nearestDistance = distance;
+                }
+            }
+            map[y][x] = nearest.wallType;
+        }
+    }
+}
+
+/**
+ * Turn some corridor tiles into doors, keeping doors apart from each other
+ * A corridor tile is open on two opposite sides and walled on the other two
+ * @param {number[][]} map - Map with walls and empty tiles
+ * @param {SeededRandom} random - Random stream for the door placement
+ */
+function placeDoors(map, random) {
+    const h = map.length;
+    const w = map[0].length;
+    const isWall = (x, y) => map[y][x] > 0;
+
+    const corridors = [];
+    for (let y = 1; y < h - 1; y++) {
+        for (let x = 1; x < w - 1; x++) {
+            if (map[y][x] !== 0) continue;
+
+            const walledX = isWall(x - 1, y) && isWall(x + 1, y) && !isWall(x, y - 1) && !isWall(x, y + 1);
+            const walledY = isWall(x, y - 1) && isWall(x, y + 1) && !isWall(x - 1, y) && !isWall(x + 1, y);
+            if (walledX || walledY) corridors.push({ x, y });
+        }
+    }
+    random.shuffle(corridors);
+
+    const doorIds = Object.keys(DOOR_TYPES).map(Number);
+    const lockedId = doorIds.find(id => DOOR_TYPES[id].locked);
+    const unlockedId = doorIds.find(id => !DOOR_TYPES[id].locked);
+    const doors = [];
+    for (const tile of corridors) {
+        if (doors.length >= DOORS_PER_LEVEL) break;
+        if (doors.some(door => Math.abs(door.x - tile.x) + Math.abs(door.y - tile.y) < 3)) continue;
+
+        map[tile.y][tile.x] = doors.length < LOCKED_DOORS_PER_LEVEL ? lockedId : unlockedId;
+        doors.push(tile);
+    }
 }
 
 /**
- * Generate level with enemies, pickups, and player placement
+ * Pick spots for a level's torches and lamps
+ * Torches hang on walls beside corridors, lamps light junctions and wider spaces
+ * @param {number[][]} map - Map with walls, doors and empty tiles
+ * @param {SeededRandom} random - Random stream for the light placement
+ * @returns {Object[]} Lights as { x, y, type } with positions in tiles
+ */
+function placeLights(map, random) {
+    const h = map.length;
+    const w = map[0].length;
+    const isWall = (x, y) => map[y][x] > 0 && !DOOR_TYPES[map[y][x]];
+    const directions = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+    const torchSpots = [];
+    const lampSpots = [];
+    for (let y = 1; y < h - 1; y++) {
+        for (let x = 1; x < w - 1; x++) {
+            if (map[y][x] !== 0) continue;
+
+            const walls = directions.filter(([dx, dy]) => isWall(x + dx, y + dy));
+            if (walls.length <= 1) {
+                lampSpots.push({ x: x + 0.5, y: y + 0.5, type: 'lamp' });
+            } else {
+                // Torches sit just off the face of one of the tile's walls
+                const [dx, dy] = random.pick(walls);
+                torchSpots.push({ x: x + 0.5 + dx * 0.4, y: y + 0.5 + dy * 0.4, type: 'torch' });
+            }
+        }
+    }
+    random.shuffle(torchSpots);
+    random.shuffle(lampSpots);
+
+    const lights = [];
+    const placeSpots = (spots, count) => {
+        let placed = 0;
+        for (const spot of spots) {
+            if (placed >= count) break;
+            if (lights.some(light => Math.hypot(light.x - spot.x, light.y - spot.y) < LIGHT_SPACING)) continue;
+
+            lights.push(spot);
+            placed++;
+        }
+    };
+    placeSpots(lampSpots, LAMPS_PER_LEVEL);
+    placeSpots(torchSpots, TORCHES_PER_LEVEL);
+    return lights;
+}
+
+/**
+ * Get the ambient light of a level
+ * @param {number} level - Level number
+ * @returns {number} Brightness of tiles no light reaches (0-1)
+ */
+function getLevelAmbientLight(level) {
+    return Math.max(MIN_AMBIENT_LIGHT, BASE_AMBIENT_LIGHT - (level - 1) * AMBIENT_LIGHT_PER_LEVEL);
+}
+
+/**
+ * Size the light map for the current level and light it from the level's entities
+ * Called once the level's map and entities are in place (new level or loaded save)
+ */
+function resetLighting() {
+    gameState.lightMap.reset(gameState.mapWidth, gameState.mapHeight,
+        getLevelAmbientLight(gameState.currentLevel), isSolidTile);
+    gameState.lightMap.update(0, gameState.world.getEntities());
+}
+
+/**
+ * Give every patrolling enemy a route through the level's corridor graph
+ * @param {SeededRandom} random - Random stream for the routes
+ */
+function assignPatrolRoutes(random) {
+    const corridorGraph = buildCorridorGraph(gameState.mapWidth, gameState.mapHeight, isWalkableTile);
+    for (const enemy of gameState.world.getEntitiesByType('enemy')) {
+        const ai = enemy.getBehavior('ai');
+        if (ai && ai.idleMode === 'patrol') {
+            ai.setPatrolRoute(createPatrolRoute(corridorGraph, enemy.x, enemy.y, random));
+        }
+    }
+}
+
+/**
+ * Give every wandering enemy a random stream of its own for picking where to wander
+ * @param {SeededRandom} random - Random stream the enemies' streams are derived from
+ */
+function assignWanderStreams(random) {
+    const enemies = gameState.world.getEntitiesByType('enemy');
+    enemies.forEach((enemy, index) => {
+        const ai = enemy.getBehavior('ai');
+        if (ai && ai.idleMode === 'wander') {
+            ai.setWanderRandom(random.derive('enemy', index));
+        }
+    });
+}
+
+/**
+ * Check whether a map tile blocks movement, bullets and sight
+ * Walls always do, door tiles until their door has slid fully open
+ * @param {number} tileX - Tile column
+ * @param {number} tileY - Tile row
+ * @returns {boolean} True if the tile is solid (tiles outside the map are)
+ */
+function isSolidTile(tileX, tileY) {
+    const row = gameState.map[tileY];
+    const tile = row ? row[tileX] : undefined;
+    if (tile === undefined) return true;
+    if (tile === 0) return false;
+    return DOOR_TYPES[tile] ? gameState.doors.isBlocking(tileX, tileY) : true;
+}
+
+/**
+ * Check whether enemy paths may lead through a map tile
+ * Empty tiles and unlocked doors are walkable; enemies open the doors on their way
+ * @param {number} tileX - Tile column
+ * @param {number} tileY - Tile row
+ * @returns {boolean} True if the tile is walkable (tiles outside the map are not)
+ */
+function isWalkableTile(tileX, tileY) {
+    const row = gameState.map[tileY];
+    const tile = row ? row[tileX] : undefined;
+    if (tile === 0) return true;
+    if (!DOOR_TYPES[tile]) return false;
+
+    const door = gameState.doors.get(tileX, tileY);
+    return door !== null && !door.locked;
+}
+
+/**
+ * Find the tiles reachable on foot from a tile without opening locked doors
+ * @param {number} startX - Start tile column
+ * @param {number} startY - Start tile row
+ * @returns {Set<number>} Keys (y * mapWidth + x) of the reachable tiles
+ */
+function getReachableTiles(startX, startY) {
+    const w = gameState.mapWidth;
+    const reachable = new Set([startY * w + startX]);
+    const queue = [{ x: startX, y: startY }];
+
+    while (queue.length > 0) {
+        const { x, y } = queue.shift();
+        for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+            const nx = x + dx;
+            const ny = y + dy;
+            const tile = gameState.map[ny] ? gameState.map[ny][nx] : undefined;
+            const passable = tile === 0 || (DOOR_TYPES[tile] && !DOOR_TYPES[tile].locked);
+            if (!passable || reachable.has(ny * w + nx)) continue;
+
+            reachable.add(ny * w + nx);
+            queue.push({ x: nx, y: ny });
+        }
+    }
+    return reachable;
+}
+
+/**
+ * Generate level behind the loading screen
+ * @param {number} level - Level number to generate
  */
 async function generateLevel(level) {
     showLoadingScreen();
     await new Promise(resolve => setTimeout(resolve, 100)); // Allow UI to update
 
+    buildLevel(level);
+
+    hideLoadingScreen();
+}
+
+/**
+ * Build level with enemies, pickups, and player placement
+ * Synchronous so it can also run without a browser (see headless.js)
+ * @param {number} level - Level number to build
+ */
+function buildLevel(level) {
     gameState.currentLevel = level;
-    gameState.sprites = [];
+    gameState.world.clear();
     gameState.player.hasKey = false;
-    generateMap();
+    gameState.player.hasKeycard = false;
+
+    // Each level draws from its own stream so the same run seed reproduces the same layout
+    const levelRng = rng.derive('level', level);
+    generateMap(levelRng);
+    gameState.pathfinder.reset(gameState.mapWidth, gameState.mapHeight, isWalkableTile);
+    gameState.hearing.reset(gameState.mapWidth, gameState.mapHeight, isSolidTile);
 
     const emptyTiles = [];
     for (let y = 0; y < gameState.mapHeight; y++) {
@@ -141,28 +441,36 @@ async function generateLevel(level) {
     const placeItem = (count, type, subType) => {
         for (let i = 0; i < count; i++) {
             if (emptyTiles.length === 0) return;
-            const tileIndex = Math.floor(Math.random() * emptyTiles.length);
+            const tileIndex = levelRng.int(emptyTiles.length);
             const tile = emptyTiles.splice(tileIndex, 1)[0];
             if (type === 'enemy') {
-                gameState.sprites.push({ 
-                    x: tile.x, y: tile.y, 
-                    type: 'enemy', 
-                    subType: subType, 
-                    health: ENEMY_TYPES[subType].health, 
-                    state: 'idle', 
-                    isHit: 0, 
-                    attackTimer: 0 
-                });
+                gameState.world.add(createEnemy(tile.x, tile.y, subType));
             } else {
-                gameState.sprites.push({ x: tile.x, y: tile.y, type: 'pickup', subType: subType });
+                gameState.world.add(new Pickup(tile.x, tile.y, subType));
             }
         }
     };
 
     // Place player
-    const playerTile = emptyTiles.splice(Math.floor(Math.random() * emptyTiles.length), 1)[0];
+    const playerTile = emptyTiles.splice(levelRng.int(emptyTiles.length), 1)[0];
     gameState.player.x = playerTile.x;
     gameState.player.y = playerTile.y;
+    gameState.world.setPlayer(gameState.player);
+
+    // Torches and lamps do not take up a tile, so they can share one with anything
+    for (const light of placeLights(gameState.map, levelRng.derive('lights'))) {
+        gameState.world.add(new LightSource(light.x, light.y, light.type));
+    }
+
+    // The keycard for locked doors lies where the player can reach it without one
+    const reachable = getReachableTiles(Math.floor(playerTile.x), Math.floor(playerTile.y));
+    const keycardTiles = emptyTiles.filter(tile =>
+        reachable.has(Math.floor(tile.y) * gameState.mapWidth + Math.floor(tile.x)));
+    if (LOCKED_DOORS_PER_LEVEL > 0 && keycardTiles.length > 0) {
+        const tile = keycardTiles[levelRng.int(keycardTiles.length)];
+        emptyTiles.splice(emptyTiles.indexOf(tile), 1);
+        gameState.world.add(new Pickup(tile.x, tile.y, 'keycard'));
+    }
 
     // Difficulty scaling
     placeItem(2 + level, 'enemy', 'grunt');
@@ -178,7 +486,10 @@ async function generateLevel(level) {
     if (level >= 2) placeItem(1, 'pickup', 'shotgun');
     if (level >= 4) placeItem(1, 'pickup', 'machinegun');
 
-    hideLoadingScreen();
+    assignPatrolRoutes(levelRng.derive('patrols'));
+    assignWanderStreams(levelRng.derive('wander'));
+    resetLighting();
+    eventBus.emit('levelStarted', { level: level });
 }
 
 /**
@@ -194,78 +505,9 @@ function spawnExitDoor() {
         }
     }
     if (emptyTiles.length > 0) {
-        const tile = emptyTiles[Math.floor(Math.random() * emptyTiles.length)];
-        gameState.sprites.push({ x: tile.x, y: tile.y, type: 'exit' });
-    }
-}/**
-
- * Handle player input for movement and actions
- */
-function handlePlayerInput() {
-    const p = gameState.player;
-    const moveSpeed = p.moveSpeed;
-    let isMoving = false;
-    
-    // Movement input
-    if (keys['KeyW'] || keys['ArrowUp']) {
-        if (gameState.map[Math.floor(p.y)][Math.floor(p.x + p.dirX * moveSpeed)] == 0) { 
-            p.x += p.dirX * moveSpeed; 
-            isMoving = true; 
-        }
-        if (gameState.map[Math.floor(p.y + p.dirY * moveSpeed)][Math.floor(p.x)] == 0) { 
-            p.y += p.dirY * moveSpeed; 
-            isMoving = true; 
-        }
+        const tile = rng.derive('exit', gameState.currentLevel).pick(emptyTiles);
+        gameState.world.add(new ExitDoor(tile.x, tile.y));
     }
-    if (keys['KeyS'] || keys['ArrowDown']) {
-        if (gameState.map[Math.floor(p.y)][Math.floor(p.x - p.dirX * moveSpeed)] == 0) { 
-            p.x -= p.dirX * moveSpeed; 
-            isMoving = true; 
-        }
-        if (gameState.map[Math.floor(p.y - p.dirY * moveSpeed)][Math.floor(p.x)] == 0) { 
-            p.y -= p.dirY * moveSpeed; 
-            isMoving = true; 
-        }
-    }
-    if (keys['KeyD']) {
-        if (gameState.map[Math.floor(p.y)][Math.floor(p.x + p.planeX * moveSpeed)] == 0) { 
-            p.x += p.planeX * moveSpeed; 
-            isMoving = true; 
-        }
-        if (gameState.map[Math.floor(p.y + p.planeY * moveSpeed)][Math.floor(p.x)] == 0) { 
-            p.y += p.planeY * moveSpeed; 
-            isMoving = true; 
-        }
-    }
-    if (keys['KeyA']) {
-        if (gameState.map[Math.floor(p.y)][Math.floor(p.x - p.planeX * moveSpeed)] == 0) { 
-            p.x -= p.planeX * moveSpeed; 
-            isMoving = true; 
-        }
-        if (gameState.map[Math.floor(p.y - p.planeY * moveSpeed)][Math.floor(p.x)] == 0) { 
-            p.y -= p.planeY * moveSpeed; 
-            isMoving = true; 
-        }
-    }
-    
-    // Handle step sounds
-    if (isMoving) {
-        p.stepTimer++;
-        if (p.stepTimer >= 15) { // Play step sound every 15 frames when moving
-            audioManager.play('step');
-            p.stepTimer = 0;
-        }
-    } else {
-        p.stepTimer = 0;
-    }
-    
-    // Action input
-    if (keys['KeyR']) reload();
-
-    // Weapon switching
-    if (keys['Digit1']) weaponManager.switchWeapon('pistol');
-    if (keys['Digit2']) weaponManager.switchWeapon('shotgun');
-    if (keys['Digit3']) weaponManager.switchWeapon('machinegun');
 }
 
 /**
@@ -280,17 +522,19 @@ function reload() {
 }
 
 function playerTakeDamage(damage) {
-    const p = gameState.player;
-    p.isHit = 10;
-    const shieldDamage = Math.min(p.shield, damage);
-    p.shield -= shieldDamage;
-    const healthDamage = damage - shieldDamage;
-    p.health -= healthDamage;
-    audioManager.play('player_damage');
-    if (p.health <= 0) {
-        p.health = 0;
-        alert(`GAME OVER! Final Score: ${p.score} on Level ${gameState.currentLevel}`);
-        document.location.reload();
+    gameState.player.takeDamage(damage);
+}
+
+/**
+ * End the run. How it is presented is left to the page (window.onGameOver in main.js)
+ * so the simulation itself never touches the DOM
+ */
+function triggerGameOver() {
+    if (gameState.isGameOver) return;
+    gameState.isGameOver = true;
+
+    if (typeof window.onGameOver === 'function') {
+        window.onGameOver(gameState.player.score, gameState.currentLevel);
     }
 }
 
@@ -304,227 +548,150 @@ function isVisible(start, end) {
     let sx = x0 < x1 ? 1 : -1, sy = y0 < y1 ? 1 : -1;
     let err = dx + dy, e2;
     while (true) {
-        if (gameState.map[y0][x0] === 1) return false;
+        if (isSolidTile(x0, y0)) return false;
         if (x0 === x1 && y0 === y1) break;
         e2 = 2 * err;
         if (e2 >= dy) { err += dy; x0 += sx; }
         if (e2 <= dx) { err += dx; y0 += sy; }
     }
     return true;
-}/**
+}
 
- * Main game state update function - handles all game mechanics and state changes
+/**
+ * Main game state update function - updates every entity in the world
+ * Player input, AI, projectiles, pickups and effects are handled by the entities themselves
+ * @param {number} deltaTime - Simulation step in seconds
  */
-function updateGameState() {
-    const p = gameState.player;
-    
-    // Handle player input
-    handlePlayerInput();
+function updateGameState(deltaTime) {
+    // Sample input actions once for this step
+    inputManager.update();
 
     // Update weapon manager
-    weaponManager.update();
-
-    // Process all sprites (enemies, pickups, projectiles, etc.)
-    for (let i = gameState.sprites.length - 1; i >= 0; i--) {
-        const sprite = gameState.sprites[i];
-        const dist = Math.hypot(p.x - sprite.x, p.y - sprite.y);
-
-        // Handle pickup collision
-        if (dist < 0.5) {
-            if (sprite.type === 'pickup') {
-                let pickedUp = false;
-                if (sprite.subType === 'ammo' && p.ammo < MAX_AMMO_CARRY) { 
-                    p.ammo = Math.min(MAX_AMMO_CARRY, p.ammo + 30); 
-                    p.score += 10; 
-                    gameState.sprites.splice(i, 1); 
-                    pickedUp = true; 
-                }
-                if (sprite.subType === 'health' && p.health < MAX_HEALTH) { 
-                    p.health = Math.min(MAX_HEALTH, p.health + 25); 
-                    p.score += 10; 
-                    gameState.sprites.splice(i, 1); 
-                    pickedUp = true; 
-                }
-                if (sprite.subType === 'shield' && p.shield < MAX_SHIELD) { 
-                    p.shield = Math.min(MAX_SHIELD, p.shield + 50); 
-                    p.score += 10; 
-                    gameState.sprites.splice(i, 1); 
-                    pickedUp = true; 
-                }
-                if (sprite.subType === 'key') { 
-                    p.hasKey = true; 
-                    p.score += 500; 
-                    gameState.sprites.splice(i, 1); 
-                    pickedUp = true; 
-                }
-                if (sprite.subType === 'shotgun' || sprite.subType === 'machinegun') {
-                    if (weaponManager.pickupWeapon(sprite.subType)) {
-                        p.score += 100;
-                        gameState.sprites.splice(i, 1);
-                        pickedUp = true;
-                    }
-                }
-                if (pickedUp) {
-                    audioManager.play('pickup');
-                }
-            } else if (sprite.type === 'exit' && p.hasKey) {
-                generateLevel(gameState.currentLevel + 1);
-                return; // Stop processing this frame
-            }
-        }
+    weaponManager.update(deltaTime);
 
-        // Handle enemy AI and behavior
-        if (sprite.type === 'enemy') {
-            if (sprite.isHit > 0) sprite.isHit--;
-            if (sprite.state === 'dead') {
-                if (!sprite.deathTimer) sprite.deathTimer = 30;
-                sprite.deathTimer--;
-                if (sprite.deathTimer <= 0) gameState.sprites.splice(i, 1);
-                continue;
-            }
-            
-            const canSeePlayer = isVisible(sprite, p);
-            if (canSeePlayer && dist < 10) sprite.state = 'attacking';
-            else if (canSeePlayer && dist < 20) sprite.state = 'chasing';
-            else sprite.state = 'idle';
-
-            if (sprite.state === 'chasing') {
-                const moveDirX = (p.x - sprite.x) / dist;
-                const moveDirY = (p.y - sprite.y) / dist;
-                const enemyMoveSpeed = 0.02;
-                if (gameState.map[Math.floor(sprite.y)][Math.floor(sprite.x + moveDirX * enemyMoveSpeed)] == 0) 
-                    sprite.x += moveDirX * enemyMoveSpeed;
-                if (gameState.map[Math.floor(sprite.y + moveDirY * enemyMoveSpeed)][Math.floor(sprite.x)] == 0) 
-                    sprite.y += moveDirY * enemyMoveSpeed;
-            } else if (sprite.state === 'attacking') {
-                sprite.attackTimer = (sprite.attackTimer || 0) + 1;
-                if (sprite.attackTimer >= ENEMY_TYPES[sprite.subType].attackCooldown) {
-                    sprite.attackTimer = 0;
-                    const bulletDirX = (p.x - sprite.x) / dist;
-                    const bulletDirY = (p.y - sprite.y) / dist;
-                    gameState.sprites.push({ 
-                        type: 'projectile', 
-                        x: sprite.x, 
-                        y: sprite.y, 
-                        dirX: bulletDirX, 
-                        dirY: bulletDirY, 
-                        speed: 0.1, 
-                        damage: ENEMY_TYPES[sprite.subType].damage, 
-                        color: '#FFA500' 
-                    });
-                }
-            }
-        } 
-        // Handle enemy projectiles
-        else if (sprite.type === 'projectile') {
-            sprite.x += sprite.dirX * sprite.speed;
-            sprite.y += sprite.dirY * sprite.speed;
-            if (gameState.map[Math.floor(sprite.y)][Math.floor(sprite.x)] !== 0) {
-                // Create wall impact effect for enemy projectiles
-                gameState.sprites.push({
-                    type: 'impact',
-                    x: sprite.x,
-                    y: sprite.y,
-                    lifetime: 15,
-                    color: '#FF6600'
-                });
-                audioManager.play('bullet_impact');
-                gameState.sprites.splice(i, 1);
-            } else if (Math.hypot(p.x - sprite.x, p.y - sprite.y) < 0.5) {
-                playerTakeDamage(sprite.damage);
-                gameState.sprites.splice(i, 1);
-            }
-        } 
-        // Handle player bullets
-        else if (sprite.type === 'playerBullet') {
-            sprite.x += sprite.dirX * sprite.speed;
-            sprite.y += sprite.dirY * sprite.speed;
-            sprite.lifetime--;
-
-            // Check wall collision
-            if (gameState.map[Math.floor(sprite.y)][Math.floor(sprite.x)] !== 0 || sprite.lifetime <= 0) {
-                // Create wall impact effect
-                if (gameState.map[Math.floor(sprite.y)][Math.floor(sprite.x)] !== 0) {
-                    gameState.sprites.push({
-                        type: 'impact',
-                        x: sprite.x,
-                        y: sprite.y,
-                        lifetime: 20,
-                        color: '#FFFF00'
-                    });
-                    audioManager.play('bullet_impact');
-                }
-                gameState.sprites.splice(i, 1);
-                continue;
-            }
+    // Plan the enemy paths waiting longest
+    gameState.pathfinder.update();
 
-            // Check enemy collision
-            for (let j = 0; j < gameState.sprites.length; j++) {
-                const enemy = gameState.sprites[j];
-                if (enemy.type === 'enemy' && enemy.state !== 'dead') {
-                    const bulletDist = Math.hypot(sprite.x - enemy.x, sprite.y - enemy.y);
-                    if (bulletDist < 0.3) {
-                        // Hit enemy
-                        enemy.health -= sprite.damage;
-                        enemy.isHit = 5;
-                        audioManager.play('enemy_damage');
-
-                        if (enemy.health <= 0 && enemy.state !== 'dead') {
-                            enemy.state = 'dead';
-                            p.score += ENEMY_TYPES[enemy.subType].score;
-                            if (enemy.subType === 'boss') {
-                                gameState.sprites.push({ x: enemy.x, y: enemy.y, type: 'pickup', subType: 'key' });
-                                spawnExitDoor();
-                            }
-                        }
-
-                        // Remove bullet
-                        gameState.sprites.splice(i, 1);
-                        break;
-                    }
-                }
-            }
-        } 
-        // Handle impact effects
-        else if (sprite.type === 'impact') {
-            sprite.lifetime--;
-            if (sprite.lifetime <= 0) {
-                gameState.sprites.splice(i, 1);
-            }
-        }
+    // Update all entities and remove the ones marked for removal
+    gameState.world.update(deltaTime);
+
+    // Slide doors and close the ones left open
+    gameState.doors.update(deltaTime, gameState.world);
+
+    // Relight the level from the lights as they now are
+    gameState.lightMap.update(deltaTime, gameState.world.getEntities());
+
+    // Count down the active notification
+    if (notification.timer > 0) {
+        notification.timer = Math.max(0, notification.timer - deltaTime);
     }
-    
-    // Reduce player hit effect
-    if (p.isHit > 0) p.isHit--;
 }
 
+// --- Event Subscriptions ---
+
+// Defeating the boss drops the key and opens the exit
+eventBus.on('enemyKilled', (event) => {
+    if (event.enemy.enemyType !== 'boss') return;
+
+    gameState.world.add(new Pickup(event.enemy.x, event.enemy.y, 'key'));
+    spawnExitDoor();
+    showNotification('Boss defeated! Grab the key and find the exit');
+});
+
+// The player's shots light up their surroundings for a moment
+eventBus.on('weaponFired', (event) => {
+    gameState.lightMap.addFlash(event.player.x, event.player.y, LIGHT_TYPES.muzzleFlash);
+});
+
+// Enemies that hear a noise go to investigate it
+eventBus.on('noise', (event) => {
+    gameState.hearing.emitNoise(event.x, event.y, event.loudness, gameState.world.getEntitiesByType('enemy'));
+});
+
+eventBus.on('levelCompleted', (event) => {
+    generateLevel(event.level + 1);
+});
+
+eventBus.on('playerKilled', () => {
+    triggerGameOver();
+});
+
+// HUD notifications
+eventBus.on('levelStarted', (event) => {
+    showNotification(`Level ${event.level}`);
+});
+
+eventBus.on('pickupCollected', (event) => {
+    if (event.subType === 'key') {
+        showNotification('Key acquired!');
+    } else if (event.subType === 'keycard') {
+        showNotification('Keycard acquired! Locked doors will open');
+    } else if (WEAPON_TYPES[event.subType]) {
+        showNotification(`${WEAPON_TYPES[event.subType].name} acquired!`);
+    }
+});
+
+eventBus.on('doorLocked', () => {
+    showNotification('Locked - find the keycard');
+});
+
 // --- Exports ---
-// Export constants
-window.MAX_HEALTH = MAX_HEALTH;
-window.MAX_SHIELD = MAX_SHIELD;
-window.MAX_AMMO_CARRY = MAX_AMMO_CARRY;
-window.ENEMY_TYPES = ENEMY_TYPES;
-
-// Export game state
-window.gameState = gameState;
-
-// Export notification system
-window.notification = notification;
-window.showNotification = showNotification;
-
-// Export loading state
-window.isLoading = isLoading;
-window.showLoadingScreen = showLoadingScreen;
-window.hideLoadingScreen = hideLoadingScreen;
-
-// Export game functions
-window.initializeGameState = initializeGameState;
-window.generateMap = generateMap;
-window.generateLevel = generateLevel;
-window.updateGameState = updateGameState;
-window.handlePlayerInput = handlePlayerInput;
-window.shoot = shoot;
-window.reload = reload;
-window.playerTakeDamage = playerTakeDamage;
-window.isVisible = isVisible;
-window.spawnExitDoor = spawnExitDoor;
\ No newline at end of file
+if (typeof window !== 'undefined') {
+    // Export constants
+    window.MAX_HEALTH = MAX_HEALTH;
+    window.MAX_SHIELD = MAX_SHIELD;
+    window.MAX_AMMO_CARRY = MAX_AMMO_CARRY;
+    window.FIXED_TIMESTEP = FIXED_TIMESTEP;
+    window.ENEMY_TYPES = ENEMY_TYPES;
+    window.ENEMY_VIEW_DIRECTIONS = ENEMY_VIEW_DIRECTIONS;
+    window.ENEMY_ANIMATIONS = ENEMY_ANIMATIONS;
+    window.ENEMY_SPRITE_ROWS = ENEMY_SPRITE_ROWS;
+    window.WALL_TYPES = WALL_TYPES;
+    window.DOOR_TYPES = DOOR_TYPES;
+    window.BASE_AMBIENT_LIGHT = BASE_AMBIENT_LIGHT;
+    window.MIN_AMBIENT_LIGHT = MIN_AMBIENT_LIGHT;
+
+    // Export game state
+    window.gameState = gameState;
+
+    // Export notification system
+    window.notification = notification;
+    window.showNotification = showNotification;
+
+    // Export loading state
+    window.isLoading = isLoading;
+    window.showLoadingScreen = showLoadingScreen;
+    window.hideLoadingScreen = hideLoadingScreen;
+
+    // Export game functions
+    window.initializeGameState = initializeGameState;
+    window.generateMap = generateMap;
+    window.assignWallTypes = assignWallTypes;
+    window.placeDoors = placeDoors;
+    window.placeLights = placeLights;
+    window.getLevelAmbientLight = getLevelAmbientLight;
+    window.resetLighting = resetLighting;
+    window.assignPatrolRoutes = assignPatrolRoutes;
+    window.assignWanderStreams = assignWanderStreams;
+    window.isSolidTile = isSolidTile;
+    window.isWalkableTile = isWalkableTile;
+    window.getReachableTiles = getReachableTiles;
+    window.generateLevel = generateLevel;
+    window.buildLevel = buildLevel;
+    window.updateGameState = updateGameState;
+    window.shoot = shoot;
+    window.reload = reload;
+    window.playerTakeDamage = playerTakeDamage;
+    window.triggerGameOver = triggerGameOver;
+    window.isVisible = isVisible;
+    window.spawnExitDoor = spawnExitDoor;
+} else if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MAX_HEALTH, MAX_SHIELD, MAX_AMMO_CARRY, FIXED_TIMESTEP, ENEMY_TYPES, ENEMY_VIEW_DIRECTIONS, ENEMY_ANIMATIONS,
+        ENEMY_SPRITE_ROWS, WALL_TYPES, DOOR_TYPES, BASE_AMBIENT_LIGHT, MIN_AMBIENT_LIGHT, gameState,
+        notification, showNotification, showLoadingScreen, hideLoadingScreen, initializeGameState,
+        generateMap, assignWallTypes, placeDoors, placeLights, getLevelAmbientLight, resetLighting, assignPatrolRoutes,
+        assignWanderStreams, isSolidTile, isWalkableTile, getReachableTiles, generateLevel, buildLevel, updateGameState,
+        shoot, reload, playerTakeDamage, triggerGameOver, isVisible, spawnExitDoor
+    };
+}
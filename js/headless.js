@@ -0,0 +1,225 @@
+// --- Headless Simulation (Node.js) ---
+//
+// Runs the game simulation without a canvas or DOM, for balance checks and
+// regression tests:
+//
+//     const { createSimulation } = require('./js/headless.js');
+//     const sim = createSimulation({ seed: 'bug-1234', level: 1 });
+//     sim.step(600, tick => ({ keys: { KeyW: true }, fire: tick % 30 === 0 }));
+//     console.log(sim.getSnapshot());
+//
+// The game scripts are written for the browser, where they share one global
+// scope. Each simulation loads them into its own VM context so several
+// simulations can run side by side without sharing state.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Simulation scripts in index.html load order (no setup.js, settings.js, renderer.js or main.js)
+const SIMULATION_SCRIPTS = [
+    'rng.js',
+    'events.js',
+    'audio.js',
+    'weapons.js',
+    'entities/Entity.js',
+    'behaviors/MovementBehavior.js',
+    'behaviors/AIBehavior.js',
+    'behaviors/AttackBehavior.js',
+    'entities/Player.js',
+    'entities/Enemy.js',
+    'entities/Pickup.js',
+    'entities/Projectile.js',
+    'entities/Impact.js',
+    'entities/LightSource.js',
+    'spatialGrid.js',
+    'doors.js',
+    'lighting.js',
+    'pathfinding.js',
+    'hearing.js',
+    'world.js',
+    'stats.js',
+    'scoring.js',
+    'game.js',
+    'save.js',
+    'input.js'
+];
+
+let cachedSource = null;
+
+/**
+ * Read and concatenate the simulation scripts (cached after the first call)
+ * @returns {string} Combined script source
+ */
+function loadSimulationSource() {
+    if (!cachedSource) {
+        cachedSource = SIMULATION_SCRIPTS
+            .map(file => fs.readFileSync(path.join(__dirname, file), 'utf8'))
+            .join('\n;\n');
+    }
+    return cachedSource;
+}
+
+/**
+ * Create a VM context that stands in for the browser window
+ * @returns {Object} Context object, also reachable as `window` inside it
+ */
+function createSimulationContext() {
+    const context = {
+        console: console,
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        keys: {}
+    };
+    context.window = context;
+    vm.createContext(context);
+    vm.runInContext(loadSimulationSource(), context, { filename: 'headless-simulation.js' });
+    return context;
+}
+
+/**
+ * Headless simulation of one run
+ */
+class Simulation {
+    /**
+     * Create a new Simulation
+     * @param {Object} options - Simulation options
+     * @param {string|number} options.seed - Run seed (random if omitted)
+     * @param {number} options.level - Level to start on (default: 1)
+     */
+    constructor(options = {}) {
+        this.context = createSimulationContext();
+        this.tick = 0;
+
+        const game = this.context;
+        game.setRunSeed(options.seed !== undefined ? options.seed : game.createRandomSeed());
+        game.initializeGameState();
+
+        // Level changes happen synchronously between ticks instead of behind a loading screen
+        game.generateLevel = (level) => {
+            game.buildLevel(level);
+            return Promise.resolve();
+        };
+        game.buildLevel(options.level || 1);
+    }
+
+    /**
+     * Advance the simulation by a number of fixed timesteps
+     * @param {number} ticks - Number of FIXED_TIMESTEP updates to run
+     * @param {Object|Function} input - Input for every tick, or a function (tick, context) returning it
+     *   Input fields: keys (object of pressed key codes), fire (boolean), turn (radians, positive turns left)
+     * @returns {Object} State snapshot after the last tick
+     */
+    step(ticks = 1, input = {}) {
+        const game = this.context;
+
+        for (let i = 0; i < ticks; i++) {
+            if (game.gameState.isGameOver) break;
+
+            const tickInput = (typeof input === 'function' ? input(this.tick, game) : input) || {};
+            this.applyInput(tickInput);
+
+            game.updateGameState(game.FIXED_TIMESTEP);
+            this.tick++;
+        }
+
+        return this.getSnapshot();
+    }
+
+    /**
+     * Apply one tick of scripted input
+     * @param {Object} input - Input fields (keys, fire, turn)
+     */
+    applyInput(input) {
+        const game = this.context;
+
+        // Replace the key state so released keys do not stay pressed
+        for (const code in game.keys) {
+            delete game.keys[code];
+        }
+        Object.assign(game.keys, input.keys || {});
+
+        if (input.turn) {
+            game.gameState.player.rotate(input.turn);
+        }
+        if (input.fire) {
+            game.shoot();
+        }
+    }
+
+    /**
+     * Get a plain-data snapshot of the simulation state
+     * @param {Object} options - Snapshot options
+     * @param {boolean} options.includeMap - Include the tile map (default: false)
+     * @returns {Object} State snapshot
+     */
+    getSnapshot(options = {}) {
+        const game = this.context;
+        const state = game.gameState;
+        const p = state.player;
+        const weaponState = game.weaponManager.getCurrentWeaponState();
+
+        const snapshot = {
+            tick: this.tick,
+            time: this.tick * game.FIXED_TIMESTEP,
+            seed: game.rng.getSeed(),
+            level: state.currentLevel,
+            isGameOver: state.isGameOver,
+            player: {
+                x: p.x,
+                y: p.y,
+                dirX: p.dirX,
+                dirY: p.dirY,
+                health: p.health,
+                shield: p.shield,
+                ammo: p.ammo,
+                score: p.score,
+                hasKey: p.hasKey,
+                hasKeycard: p.hasKeycard,
+                isAlive: p.isAlive()
+            },
+            stats: game.gameStats.getSnapshot(),
+            weapon: {
+                current: game.weaponManager.currentWeapon,
+                clipAmmo: weaponState.clipAmmo,
+                isReloading: game.weaponManager.isReloading
+            },
+            entities: state.world.getEntities()
+                .filter(entity => entity !== p)
+                .map(entity => ({
+                    type: entity.type,
+                    subType: entity.subType,
+                    x: entity.x,
+                    y: entity.y,
+                    health: entity.health,
+                    state: entity.state
+                }))
+        };
+
+        if (options.includeMap) {
+            snapshot.map = state.map.map(row => row.slice());
+        }
+
+        return snapshot;
+    }
+
+    /**
+     * Get the simulation's global scope (gameState, weaponManager, classes, ...)
+     * for checks the snapshot does not cover
+     * @returns {Object} Simulation context
+     */
+    getContext() {
+        return this.context;
+    }
+}
+
+/**
+ * Create a new headless simulation
+ * @param {Object} options - Simulation options (see Simulation constructor)
+ * @returns {Simulation} New simulation
+ */
+function createSimulation(options = {}) {
+    return new Simulation(options);
+}
+
+module.exports = { createSimulation, Simulation, SIMULATION_SCRIPTS };
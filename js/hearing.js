@@ -0,0 +1,99 @@
+// --- Hearing ---
+
+/**
+ * Loudness of the noises that are not gunshots (gunshots use their weapon's loudness, see WEAPON_TYPES)
+ * Loudness is how many open tiles a noise carries before it dies out
+ */
+const NOISE_LOUDNESS = {
+    step: 3,
+    impact: 4
+};
+
+/**
+ * HearingSystem - Spreads noises through the open tiles of the level to the enemies that hear them
+ * A noise loses one point of loudness per tile it travels, so walls and closed doors block it
+ * and a corridor carries it round corners further than it carries through the maze
+ */
+class HearingSystem {
+    /**
+     * Create a new HearingSystem
+     */
+    constructor() {
+        this.width = 0;
+        this.height = 0;
+        this.isSolid = () => true;
+    }
+
+    /**
+     * Spread noises on a new map
+     * @param {number} width - Map width in tiles
+     * @param {number} height - Map height in tiles
+     * @param {Function} isSolid - (tileX, tileY) => true if the tile blocks noise
+     */
+    reset(width, height, isSolid) {
+        this.width = width;
+        this.height = height;
+        this.isSolid = isSolid;
+    }
+
+    /**
+     * Find how loud a noise is in every tile it reaches
+     * @param {number} x - Noise X position
+     * @param {number} y - Noise Y position
+     * @param {number} loudness - Loudness at the source
+     * @returns {Map<number, number>} Loudness by tile key (y * width + x), only for tiles it is still heard in
+     */
+    spread(x, y, loudness) {
+        const heard = new Map();
+        const startX = Math.floor(x);
+        const startY = Math.floor(y);
+        if (loudness <= 0 || this.isSolid(startX, startY)) return heard;
+
+        heard.set(startY * this.width + startX, loudness);
+        const queue = [{ x: startX, y: startY, loudness: loudness }];
+        for (let i = 0; i < queue.length; i++) {
+            const tile = queue[i];
+            const next = tile.loudness - 1;
+            if (next <= 0) continue;
+
+            for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                const nx = tile.x + dx;
+                const ny = tile.y + dy;
+                const key = ny * this.width + nx;
+                if (nx < 0 || ny < 0 || nx >= this.width || ny >= this.height) continue;
+                if (heard.has(key) || this.isSolid(nx, ny)) continue;
+
+                heard.set(key, next);
+                queue.push({ x: nx, y: ny, loudness: next });
+            }
+        }
+        return heard;
+    }
+
+    /**
+     * Make a noise, telling every listener in a tile it reaches
+     * @param {number} x - Noise X position
+     * @param {number} y - Noise Y position
+     * @param {number} loudness - Loudness at the source
+     * @param {Entity[]} listeners - Entities that can hear (with a hearNoise(x, y, loudness) method)
+     */
+    emitNoise(x, y, loudness, listeners) {
+        const heard = this.spread(x, y, loudness);
+        if (heard.size === 0) return;
+
+        for (const listener of listeners) {
+            const heardLoudness = heard.get(Math.floor(listener.y) * this.width + Math.floor(listener.x));
+            if (heardLoudness !== undefined) {
+                listener.hearNoise(x, y, heardLoudness);
+            }
+        }
+    }
+}
+
+// Export the HearingSystem class
+if (typeof window !== 'undefined') {
+    window.NOISE_LOUDNESS = NOISE_LOUDNESS;
+    window.HearingSystem = HearingSystem;
+} else if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { NOISE_LOUDNESS, HearingSystem };
+}
@@ -0,0 +1,396 @@
+// --- Input Action Mapping ---
+
+const BINDINGS_STORAGE_KEY = 'raycaster.bindings';
+const GAMEPAD_SETTINGS_STORAGE_KEY = 'raycaster.gamepad';
+
+// Maximum number of inputs bound to one action
+const MAX_BINDINGS_PER_ACTION = 2;
+
+/**
+ * Default bindings for every action, as KeyboardEvent.code values
+ * Mouse buttons use 'Mouse0' (left), 'Mouse1' (middle) and 'Mouse2' (right)
+ */
+const DEFAULT_BINDINGS = {
+    moveForward: ['KeyW', 'ArrowUp'],
+    moveBackward: ['KeyS', 'ArrowDown'],
+    strafeLeft: ['KeyA'],
+    strafeRight: ['KeyD'],
+    turnLeft: ['ArrowLeft', 'KeyQ'],
+    turnRight: ['ArrowRight', 'KeyE'],
+    fire: ['Mouse0', 'Space'],
+    reload: ['KeyR'],
+    use: ['KeyF'],
+    weapon1: ['Digit1'],
+    weapon2: ['Digit2'],
+    weapon3: ['Digit3'],
+    nextWeapon: ['BracketRight'],
+    previousWeapon: ['BracketLeft']
+};
+
+/**
+ * Gamepad buttons for each action, as indices in the standard gamepad layout
+ * (0 A, 1 B, 2 X, 3 Y, 4 LB, 5 RB, 6 LT, 7 RT)
+ * Sticks are mapped in GamepadInput.poll()
+ */
+const GAMEPAD_BUTTON_BINDINGS = {
+    fire: [7, 6],
+    reload: [2],
+    use: [0],
+    nextWeapon: [5],
+    previousWeapon: [4]
+};
+
+// Default gamepad settings
+const DEFAULT_GAMEPAD_SETTINGS = {
+    deadzone: 0.2, // Stick deflection ignored around the centre (0-1)
+    lookSensitivity: 1.0 // Multiplier on the right stick turn rate
+};
+
+// Display names for the settings screen, in display order
+const INPUT_ACTIONS = {
+    moveForward: 'Move forward',
+    moveBackward: 'Move backward',
+    strafeLeft: 'Strafe left',
+    strafeRight: 'Strafe right',
+    turnLeft: 'Turn left',
+    turnRight: 'Turn right',
+    fire: 'Fire',
+    reload: 'Reload',
+    use: 'Open door',
+    weapon1: 'Weapon 1',
+    weapon2: 'Weapon 2',
+    weapon3: 'Weapon 3',
+    nextWeapon: 'Next weapon',
+    previousWeapon: 'Previous weapon'
+};
+
+/**
+ * Get a readable name for an input code
+ * @param {string} code - KeyboardEvent.code or MouseN
+ * @returns {string} Display name (e.g. 'W', '1', 'Left Click')
+ */
+function formatInputCode(code) {
+    if (!code) return '—';
+
+    const mouseNames = { 'Mouse0': 'Left Click', 'Mouse1': 'Middle Click', 'Mouse2': 'Right Click' };
+    if (mouseNames[code]) return mouseNames[code];
+
+    return code.replace(/^Key/, '').replace(/^Digit/, '').replace(/^Arrow/, 'Arrow ');
+}
+
+/**
+ * GamepadInput - Polls the first connected gamepad (Gamepad API) and converts
+ * sticks and buttons into action values
+ */
+class GamepadInput {
+    /**
+     * Create a new GamepadInput
+     * @param {Storage|null} storage - Storage the settings persist to
+     */
+    constructor(storage = null) {
+        this.storage = storage;
+        this.settings = { ...DEFAULT_GAMEPAD_SETTINGS };
+        this.loadSettings();
+    }
+
+    /**
+     * Get the first connected gamepad
+     * @returns {Gamepad|null} Gamepad, or null if none is connected or the API is missing
+     */
+    getGamepad() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
+
+        for (const gamepad of navigator.getGamepads()) {
+            if (gamepad && gamepad.connected) return gamepad;
+        }
+        return null;
+    }
+
+    /**
+     * Remove the deadzone from a stick axis and rescale the rest to the full range
+     * @param {number} value - Raw axis value (-1 to 1)
+     * @returns {number} Axis value with deadzone applied (-1 to 1)
+     */
+    applyDeadzone(value) {
+        const deadzone = this.settings.deadzone;
+        const magnitude = Math.abs(value);
+        if (magnitude <= deadzone) return 0;
+
+        return Math.sign(value) * Math.min(1, (magnitude - deadzone) / (1 - deadzone));
+    }
+
+    /**
+     * Read the gamepad state
+     * @returns {Object|null} Action values {actionName: 0..n}, or null if no gamepad is connected
+     */
+    poll() {
+        const gamepad = this.getGamepad();
+        if (!gamepad) return null;
+
+        const axis = (index) => this.applyDeadzone(gamepad.axes[index] || 0);
+        const moveX = axis(0);
+        const moveY = axis(1); // Up is negative
+        const lookX = axis(2) * this.settings.lookSensitivity;
+
+        const values = {
+            moveForward: Math.max(0, -moveY),
+            moveBackward: Math.max(0, moveY),
+            strafeLeft: Math.max(0, -moveX),
+            strafeRight: Math.max(0, moveX),
+            turnLeft: Math.max(0, -lookX),
+            turnRight: Math.max(0, lookX)
+        };
+
+        for (const action in GAMEPAD_BUTTON_BINDINGS) {
+            const pressed = GAMEPAD_BUTTON_BINDINGS[action].some(index => {
+                const button = gamepad.buttons[index];
+                return button && button.pressed;
+            });
+            if (pressed) values[action] = 1;
+        }
+
+        return values;
+    }
+
+    /**
+     * Change a gamepad setting and persist it
+     * @param {string} name - Setting name (deadzone, lookSensitivity)
+     * @param {number} value - New value
+     */
+    setSetting(name, value) {
+        if (!(name in this.settings) || !isFinite(value)) return;
+
+        this.settings[name] = value;
+        this.saveSettings();
+    }
+
+    /**
+     * Load saved settings, keeping defaults for missing ones
+     */
+    loadSettings() {
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(GAMEPAD_SETTINGS_STORAGE_KEY) || 'null');
+            if (!saved) return;
+
+            for (const name in this.settings) {
+                if (typeof saved[name] === 'number') {
+                    this.settings[name] = saved[name];
+                }
+            }
+        } catch (e) {
+            console.warn('GamepadInput: Could not load settings:', e);
+        }
+    }
+
+    /**
+     * Persist the current settings
+     */
+    saveSettings() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(GAMEPAD_SETTINGS_STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (e) {
+            console.warn('GamepadInput: Could not save settings:', e);
+        }
+    }
+}
+
+/**
+ * InputManager - Maps raw device input to game actions through rebindable bindings
+ * Gameplay code asks for actions (moveForward, fire, ...) instead of key codes
+ */
+class InputManager {
+    /**
+     * Create a new InputManager
+     * @param {Object} keyState - Live map of input code to pressed state (see setup.js)
+     * @param {Storage|null} storage - Storage the bindings persist to
+     * @param {Object[]} sources - Extra input sources polled alongside the keys (see addSource)
+     */
+    constructor(keyState, storage = null, sources = []) {
+        this.keyState = keyState;
+        this.storage = storage;
+        this.sources = sources.slice();
+        this.bindings = {};
+        this.actionValues = {};
+        this.previousActionValues = {};
+
+        this.resetBindings(false);
+        this.loadBindings();
+    }
+
+    /**
+     * Add an input source (gamepad, touch controls, ...)
+     * @param {Object} source - Object whose poll() returns action values {actionName: 0..n} or null
+     */
+    addSource(source) {
+        if (!this.sources.includes(source)) {
+            this.sources.push(source);
+        }
+    }
+
+    /**
+     * Sample the keys and every input source once per simulation step
+     * Called before the world updates so every entity sees the same input
+     */
+    update() {
+        this.previousActionValues = this.actionValues;
+        this.actionValues = {};
+
+        for (const action in this.bindings) {
+            this.actionValues[action] = this.bindings[action].some(code => this.keyState[code]) ? 1 : 0;
+        }
+
+        // The strongest input wins when several devices drive the same action
+        for (const source of this.sources) {
+            const values = source.poll();
+            if (!values) continue;
+
+            for (const action in values) {
+                this.actionValues[action] = Math.max(this.actionValues[action] || 0, values[action]);
+            }
+        }
+    }
+
+    /**
+     * Check whether an action is held this step
+     * @param {string} action - Action name
+     * @returns {boolean} True while any input bound to the action is held
+     */
+    isActionDown(action) {
+        return this.getActionValue(action) > 0;
+    }
+
+    /**
+     * Get how strongly an action is held this step
+     * Keys give 1, analog sticks give their deflection
+     * @param {string} action - Action name
+     * @returns {number} Action value (0 when released)
+     */
+    getActionValue(action) {
+        return this.actionValues[action] || 0;
+    }
+
+    /**
+     * Check whether an action started this step
+     * @param {string} action - Action name
+     * @returns {boolean} True only on the step the action went from released to held
+     */
+    wasActionPressed(action) {
+        return this.isActionDown(action) && !this.previousActionValues[action];
+    }
+
+    /**
+     * Get the inputs bound to an action
+     * @param {string} action - Action name
+     * @returns {Array<string|null>} Bound input codes by slot (null for an empty slot)
+     */
+    getBindings(action) {
+        return (this.bindings[action] || []).slice();
+    }
+
+    /**
+     * Bind an input to an action, replacing the binding at an index
+     * The input is unbound from any other action first
+     * @param {string} action - Action name
+     * @param {number} index - Binding index (0 = primary, 1 = secondary)
+     * @param {string} code - Input code to bind
+     */
+    setBinding(action, index, code) {
+        if (!this.bindings[action] || index < 0 || index >= MAX_BINDINGS_PER_ACTION) return;
+
+        // Bindings keep their slots: the input's old slot is emptied, not removed
+        for (const other in this.bindings) {
+            const slot = this.bindings[other].indexOf(code);
+            if (slot !== -1) this.bindings[other][slot] = null;
+        }
+
+        const bindings = this.bindings[action];
+        while (bindings.length < index) bindings.push(null);
+        bindings[index] = code;
+        this.saveBindings();
+    }
+
+    /**
+     * Remove the binding at an index
+     * @param {string} action - Action name
+     * @param {number} index - Binding index
+     */
+    clearBinding(action, index) {
+        if (!this.bindings[action] || index >= this.bindings[action].length) return;
+
+        this.bindings[action][index] = null;
+        this.saveBindings();
+    }
+
+    /**
+     * Restore the default bindings
+     * @param {boolean} persist - Also write the defaults to storage (default: true)
+     */
+    resetBindings(persist = true) {
+        this.bindings = {};
+        for (const action in DEFAULT_BINDINGS) {
+            this.bindings[action] = DEFAULT_BINDINGS[action].slice();
+        }
+
+        if (persist) {
+            this.saveBindings();
+        }
+    }
+
+    /**
+     * Load saved bindings, keeping defaults for actions missing from storage
+     */
+    loadBindings() {
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(BINDINGS_STORAGE_KEY) || 'null');
+            if (!saved) return;
+
+            for (const action in this.bindings) {
+                if (Array.isArray(saved[action])) {
+                    this.bindings[action] = saved[action].slice(0, MAX_BINDINGS_PER_ACTION);
+                }
+            }
+        } catch (e) {
+            console.warn('InputManager: Could not load bindings:', e);
+        }
+    }
+
+    /**
+     * Persist the current bindings
+     */
+    saveBindings() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (e) {
+            console.warn('InputManager: Could not save bindings:', e);
+        }
+    }
+}
+
+// Global input manager instance reading the shared key state and the first gamepad
+const gamepadInput = new GamepadInput(getDefaultStorage());
+const inputManager = new InputManager(keys, getDefaultStorage(), [gamepadInput]);
+
+// --- Exports ---
+if (typeof window !== 'undefined') {
+    window.DEFAULT_BINDINGS = DEFAULT_BINDINGS;
+    window.INPUT_ACTIONS = INPUT_ACTIONS;
+    window.formatInputCode = formatInputCode;
+    window.GAMEPAD_BUTTON_BINDINGS = GAMEPAD_BUTTON_BINDINGS;
+    window.GamepadInput = GamepadInput;
+    window.gamepadInput = gamepadInput;
+    window.InputManager = InputManager;
+    window.inputManager = inputManager;
+} else if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DEFAULT_BINDINGS, INPUT_ACTIONS, GAMEPAD_BUTTON_BINDINGS, formatInputCode,
+        GamepadInput, gamepadInput, InputManager, inputManager
+    };
+}
@@ -0,0 +1,262 @@
+// --- Lighting ---
+
+/**
+ * Light sources by kind: radius in tiles, intensity is the brightness added at the source
+ * Flashes (see LightMap.addFlash) also have a duration in seconds over which they fade out
+ */
+const LIGHT_TYPES = {
+    torch: { radius: 4, intensity: 0.9 },
+    lamp: { radius: 6, intensity: 0.7 },
+    player: { radius: 2.5, intensity: 0.25 }, // Keeps the walls next to the player readable in the dark
+    muzzleFlash: { radius: 5, intensity: 0.8, duration: 0.08 },
+    enemyMuzzleFlash: { radius: 4, intensity: 0.6 },
+    enemyWindUp: { radius: 2, intensity: 0.6 }, // At full strength, just before the attack lands
+    projectile: { radius: 2.5, intensity: 0.5 },
+    playerBullet: { radius: 1.5, intensity: 0.3 },
+    impact: { radius: 2.5, intensity: 0.7 }
+};
+
+// Brightest a tile can get; lights add up to this
+const MAX_LIGHT = 1;
+
+/**
+ * LightMap - Brightness of every tile in the level, from the level's ambient light plus
+ * the lights carried by entities (Entity.getLight) and short flashes such as muzzle flashes
+ * Light spreads from a source to the open tiles it can see within its radius, so walls and
+ * closed doors cast shadows. It is rebuilt every simulation step, which keeps moving lights
+ * and doors current; the renderer reads it through sample()
+ */
+class LightMap {
+    /**
+     * Create a new, empty LightMap
+     */
+    constructor() {
+        this.width = 0;
+        this.height = 0;
+        this.ambient = MAX_LIGHT;
+        this.isSolid = () => false;
+
+        // Brightness per tile, row by row
+        this.tiles = new Float32Array(0);
+
+        // 1 for tiles that block light, read from isSolid once per update
+        this.solid = new Uint8Array(0);
+
+        // Brightness per tile corner ((width + 1) * (height + 1)), averaged from the open tiles
+        // around it so sample() can blend smoothly across tiles and onto wall faces
+        this.vertices = new Float32Array(0);
+
+        // Fading lights that no entity carries: { x, y, radius, intensity, duration, timer }
+        this.flashes = [];
+    }
+
+    /**
+     * Size the light map for a level and clear its flashes
+     * Call update() afterwards to light it
+     * @param {number} width - Map width in tiles
+     * @param {number} height - Map height in tiles
+     * @param {number} ambient - Brightness of tiles no light reaches (0-1)
+     * @param {Function} isSolid - (tileX, tileY) => true if the tile blocks light
+     */
+    reset(width, height, ambient, isSolid) {
+        this.width = width;
+        this.height = height;
+        this.ambient = ambient;
+        this.isSolid = isSolid;
+        this.tiles = new Float32Array(width * height).fill(ambient);
+        this.solid = new Uint8Array(width * height);
+        this.vertices = new Float32Array((width + 1) * (height + 1)).fill(ambient);
+        this.flashes = [];
+    }
+
+    /**
+     * Remove every flash and light the whole map at full brightness
+     */
+    clear() {
+        this.reset(0, 0, MAX_LIGHT, () => false);
+    }
+
+    /**
+     * Add a light that fades out over its duration
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {Object} light - Light with radius, intensity and duration (see LIGHT_TYPES)
+     */
+    addFlash(x, y, light) {
+        this.flashes.push({
+            x: x,
+            y: y,
+            radius: light.radius,
+            intensity: light.intensity,
+            duration: light.duration,
+            timer: light.duration
+        });
+    }
+
+    /**
+     * Age the flashes and relight the map from them and the entities' lights
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     * @param {Entity[]} entities - Entities whose lights to add
+     */
+    update(deltaTime, entities) {
+        for (let tileY = 0; tileY < this.height; tileY++) {
+            for (let tileX = 0; tileX < this.width; tileX++) {
+                this.solid[tileY * this.width + tileX] = this.isSolid(tileX, tileY) ? 1 : 0;
+            }
+        }
+        this.tiles.fill(this.ambient);
+
+        for (let i = this.flashes.length - 1; i >= 0; i--) {
+            const flash = this.flashes[i];
+            flash.timer -= deltaTime;
+            if (flash.timer <= 0) {
+                this.flashes.splice(i, 1);
+                continue;
+            }
+            this.addLight(flash.x, flash.y, flash.radius, flash.intensity * flash.timer / flash.duration);
+        }
+
+        for (let i = 0; i < entities.length; i++) {
+            const light = entities[i].getLight();
+            if (light) {
+                this.addLight(entities[i].x, entities[i].y, light.radius, light.intensity);
+            }
+        }
+
+        for (let i = 0; i < this.tiles.length; i++) {
+            this.tiles[i] = Math.min(MAX_LIGHT, this.tiles[i]);
+        }
+        this.updateVertices();
+    }
+
+    /**
+     * Brighten the open tiles a light can see, falling off to nothing at its radius
+     * @param {number} x - Light X position
+     * @param {number} y - Light Y position
+     * @param {number} radius - Reach in tiles
+     * @param {number} intensity - Brightness added at the source
+     */
+    addLight(x, y, radius, intensity) {
+        const lightX = Math.floor(x);
+        const lightY = Math.floor(y);
+        if (intensity <= 0 || this.isSolidAt(lightX, lightY)) return;
+
+        const minX = Math.max(0, Math.floor(x - radius));
+        const maxX = Math.min(this.width - 1, Math.floor(x + radius));
+        const minY = Math.max(0, Math.floor(y - radius));
+        const maxY = Math.min(this.height - 1, Math.floor(y + radius));
+
+        for (let tileY = minY; tileY <= maxY; tileY++) {
+            for (let tileX = minX; tileX <= maxX; tileX++) {
+                const dx = tileX + 0.5 - x;
+                const dy = tileY + 0.5 - y;
+                const distance = Math.sqrt(dx * dx + dy * dy);
+                if (distance >= radius || this.solid[tileY * this.width + tileX]) continue;
+                if (!this.hasLineOfSight(lightX, lightY, tileX, tileY)) continue;
+
+                const falloff = 1 - distance / radius;
+                this.tiles[tileY * this.width + tileX] += intensity * falloff * falloff;
+            }
+        }
+    }
+
+    /**
+     * Check whether light passes between two tiles (Bresenham's line algorithm)
+     * @param {number} x0 - Start tile column
+     * @param {number} y0 - Start tile row
+     * @param {number} x1 - End tile column
+     * @param {number} y1 - End tile row
+     * @returns {boolean} True if no solid tile lies between them
+     */
+    hasLineOfSight(x0, y0, x1, y1) {
+        const dx = Math.abs(x1 - x0), dy = -Math.abs(y1 - y0);
+        const sx = x0 < x1 ? 1 : -1, sy = y0 < y1 ? 1 : -1;
+        let err = dx + dy;
+        while (x0 !== x1 || y0 !== y1) {
+            const e2 = 2 * err;
+            if (e2 >= dy) { err += dy; x0 += sx; }
+            if (e2 <= dx) { err += dx; y0 += sy; }
+            if ((x0 !== x1 || y0 !== y1) && this.solid[y0 * this.width + x0]) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Check whether a tile blocked light at the last update
+     * @param {number} tileX - Tile column
+     * @param {number} tileY - Tile row
+     * @returns {boolean} True if the tile is solid (tiles outside the map are)
+     */
+    isSolidAt(tileX, tileY) {
+        if (tileX < 0 || tileY < 0 || tileX >= this.width || tileY >= this.height) return true;
+        return this.solid[tileY * this.width + tileX] === 1;
+    }
+
+    /**
+     * Average each tile corner from the open tiles that share it
+     * Corners with no open tile around them keep the ambient light
+     */
+    updateVertices() {
+        const rowLength = this.width + 1;
+        for (let vertexY = 0; vertexY <= this.height; vertexY++) {
+            for (let vertexX = 0; vertexX <= this.width; vertexX++) {
+                let total = 0;
+                let count = 0;
+                for (let tileY = vertexY - 1; tileY <= vertexY; tileY++) {
+                    for (let tileX = vertexX - 1; tileX <= vertexX; tileX++) {
+                        if (tileX < 0 || tileY < 0 || tileX >= this.width || tileY >= this.height) continue;
+                        if (this.solid[tileY * this.width + tileX]) continue;
+                        total += this.tiles[tileY * this.width + tileX];
+                        count++;
+                    }
+                }
+                this.vertices[vertexY * rowLength + vertexX] = count > 0 ? total / count : this.ambient;
+            }
+        }
+    }
+
+    /**
+     * Get the brightness of a tile
+     * @param {number} tileX - Tile column
+     * @param {number} tileY - Tile row
+     * @returns {number} Brightness (0-1), the ambient light outside the map
+     */
+    getTileLight(tileX, tileY) {
+        if (tileX < 0 || tileY < 0 || tileX >= this.width || tileY >= this.height) return this.ambient;
+        return this.tiles[tileY * this.width + tileX];
+    }
+
+    /**
+     * Get the brightness at a point, blended between the surrounding tile corners
+     * Points on a wall face take the light of the open tiles in front of it
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @returns {number} Brightness (0-1)
+     */
+    sample(x, y) {
+        if (this.width === 0) return this.ambient;
+
+        const clampedX = Math.min(this.width, Math.max(0, x));
+        const clampedY = Math.min(this.height, Math.max(0, y));
+        const vertexX = Math.min(this.width - 1, Math.floor(clampedX));
+        const vertexY = Math.min(this.height - 1, Math.floor(clampedY));
+        const fx = clampedX - vertexX;
+        const fy = clampedY - vertexY;
+
+        const rowLength = this.width + 1;
+        const index = vertexY * rowLength + vertexX;
+        const top = this.vertices[index] + (this.vertices[index + 1] - this.vertices[index]) * fx;
+        const bottom = this.vertices[index + rowLength] +
+            (this.vertices[index + rowLength + 1] - this.vertices[index + rowLength]) * fx;
+        return top + (bottom - top) * fy;
+    }
+}
+
+// Export the LightMap class
+if (typeof window !== 'undefined') {
+    window.LIGHT_TYPES = LIGHT_TYPES;
+    window.MAX_LIGHT = MAX_LIGHT;
+    window.LightMap = LightMap;
+} else if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LIGHT_TYPES, MAX_LIGHT, LightMap };
+}
@@ -1,5 +1,14 @@
 // --- Main Game Initialization and Loop ---
 
+// Longest frame the simulation will catch up on (e.g. after a background tab resumes)
+const MAX_FRAME_TIME = 0.25;
+
+// Shortest time the level transition screen stays up, in seconds
+const LEVEL_TRANSITION_TIME = 1.5;
+
+// Frame timing state
+let lastFrameTime = null;
+
 /**
  * Initialize all game modules
  */
@@ -14,51 +23,386 @@ function initializeGame() {
 }
 
 /**
- * Main game loop - coordinates between game logic and rendering
+ * Main game loop - runs the current game state's update and render handlers
+ * @param {number} timestamp - Frame timestamp from requestAnimationFrame (ms)
  */
-function gameLoop() {
-    updateGameState(); // Update game logic (game.js)
-    renderFrame();     // Render the frame (renderer.js)
+function gameLoop(timestamp) {
+    if (lastFrameTime === null) lastFrameTime = timestamp;
+    const frameTime = Math.min((timestamp - lastFrameTime) / 1000, MAX_FRAME_TIME);
+    lastFrameTime = timestamp;
+
+    gameFlow.update(frameTime);
+
+    // Time the render so dynamic resolution can react to slow frames
+    const renderStart = performance.now();
+    gameFlow.render();
+    renderResolution.reportRenderTime(performance.now() - renderStart, frameTime);
+
     requestAnimationFrame(gameLoop);
 }
 
+/**
+ * Capture the mouse for looking around (not on touch devices)
+ */
+function requestMouseLook() {
+    if (!touchControls.enabled && canvas.requestPointerLock) {
+        canvas.requestPointerLock();
+    }
+}
+
+/**
+ * Release the mouse so overlays can be clicked
+ */
+function releaseMouseLook() {
+    if (document.pointerLockElement) {
+        document.exitPointerLock();
+    }
+}
+
+// --- Game States ---
+
+/**
+ * Loading - asset files are loading and the first level is generated
+ */
+const loadingState = {
+    render() {
+        renderLoadingScreen();
+    }
+};
+
+/**
+ * Title - start menu over a frozen view of the first level
+ */
+const titleState = {
+    enter() {
+        this.menu = createStartMenu();
+        document.body.appendChild(this.menu);
+    },
+
+    exit() {
+        this.menu.remove();
+        this.menu = null;
+    },
+
+    render() {
+        renderFrame();
+    }
+};
+
+/**
+ * Playing - runs the simulation in fixed FIXED_TIMESTEP steps so its speed
+ * does not depend on the display refresh rate
+ */
+const playingState = {
+    enter() {
+        this.accumulator = 0;
+
+        // Treat inputs held on entry (the click that resumed the game) as already held
+        inputManager.update();
+    },
+
+    update(frameTime) {
+        this.accumulator += frameTime;
+
+        // Stop stepping as soon as a step leaves this state (level completed, game over)
+        while (this.accumulator >= FIXED_TIMESTEP && gameFlow.is('playing')) {
+            updateGameState(FIXED_TIMESTEP); // Update game logic (game.js)
+            this.accumulator -= FIXED_TIMESTEP;
+        }
+    },
+
+    render() {
+        renderFrame();
+    }
+};
+
+/**
+ * Paused - simulation frozen until the player resumes
+ */
+const pausedState = {
+    enter() {
+        releaseMouseLook();
+    },
+
+    render() {
+        renderFrame();
+        renderPauseScreen();
+    }
+};
+
+/**
+ * Level transition - shown while the next level is generated
+ */
+const levelTransitionState = {
+    enter(data) {
+        this.completedLevel = data.completedLevel || null;
+        this.nextLevel = data.nextLevel;
+        this.score = data.score || 0;
+        this.timer = 0;
+    },
+
+    update(frameTime) {
+        this.timer += frameTime;
+        if (this.timer >= LEVEL_TRANSITION_TIME && !isLoading) {
+            gameFlow.change('playing');
+        }
+    },
+
+    render() {
+        renderLevelTransitionScreen(this.completedLevel, this.nextLevel, this.score);
+    }
+};
+
+/**
+ * Game over - final score and level, restarts a fresh run without reloading the page
+ */
+const gameOverState = {
+    enter(data) {
+        this.score = data.score;
+        this.level = data.level;
+        this.stats = gameStats.getSnapshot();
+        releaseMouseLook();
+    },
+
+    render() {
+        renderFrame();
+        renderGameOverScreen(this.score, this.level, this.stats);
+    }
+};
+
+const gameFlow = new StateMachine({
+    loading: loadingState,
+    title: titleState,
+    playing: playingState,
+    paused: pausedState,
+    levelTransition: levelTransitionState,
+    gameOver: gameOverState
+});
+
+/**
+ * Pause the simulation (only while playing)
+ */
+function pauseGame() {
+    if (gameFlow.is('playing')) {
+        gameFlow.change('paused');
+    }
+}
+
+/**
+ * Resume the simulation from the pause screen
+ */
+function resumeGame() {
+    if (gameFlow.is('paused')) {
+        requestMouseLook();
+        gameFlow.change('playing');
+    }
+}
+
+/**
+ * Start a fresh run from the game-over screen
+ */
+function restartGame() {
+    if (!gameFlow.is('gameOver')) return;
+
+    setRunSeed(getInitialSeed());
+    initializeGameState();
+    generateTextures();
+    generateLevel(1);
+
+    gameFlow.change('levelTransition', { nextLevel: 1 });
+    requestMouseLook();
+}
+
+/**
+ * Present the end of the run (called by triggerGameOver in game.js)
+ * @param {number} finalScore - Player score at death
+ * @param {number} level - Level the player died on
+ */
+window.onGameOver = function(finalScore, level) {
+    gameFlow.change('gameOver', { score: finalScore, level: level });
+};
+
+// Show the transition screen while the next level is generated
+eventBus.on('levelCompleted', (event) => {
+    gameFlow.change('levelTransition', {
+        completedLevel: event.level,
+        nextLevel: event.level + 1,
+        score: event.player.score
+    });
+});
+
+/**
+ * Set up the pause, resume and restart inputs
+ */
+function setupGameFlowHandlers() {
+    // Escape only pauses: with pointer lock the browser also uses it to release the mouse,
+    // which pauses through pointerlockchange and must not be undone by the same key press
+    document.addEventListener('keydown', (e) => {
+        if (e.code === 'Escape') {
+            pauseGame();
+        } else if (e.code === 'Enter') {
+            if (gameFlow.is('paused')) resumeGame();
+            else if (gameFlow.is('gameOver')) restartGame();
+        }
+    });
+
+    // Losing the mouse (Escape in the browser, alt-tab, ...) pauses
+    document.addEventListener('pointerlockchange', () => {
+        if (document.pointerLockElement !== canvas) pauseGame();
+    });
+
+    // Hidden tabs pause too, which also covers touch devices
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) pauseGame();
+    });
+
+    const handleCanvasPress = () => {
+        if (gameFlow.is('paused')) resumeGame();
+        else if (gameFlow.is('gameOver')) restartGame();
+    };
+    canvas.addEventListener('click', handleCanvasPress);
+    canvas.addEventListener('touchstart', handleCanvasPress, { passive: true });
+}
+
+// --- Start Menu ---
+
+/**
+ * Get the run seed requested in the page URL (?seed=...), or a fresh one
+ * @returns {string} Seed value
+ */
+function getInitialSeed() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get('seed') || createRandomSeed();
+}
+
+/**
+ * Create a start screen button that loads a save slot
+ * @param {string} label - Button text
+ * @param {string} slot - Save slot to load
+ * @returns {HTMLButtonElement} Button element
+ */
+function createSaveButton(label, slot) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.dataset.slot = slot;
+    button.style.cssText = 'display: block; margin: 8px auto 0; font-family: inherit;';
+    return button;
+}
+
+/**
+ * Create the title screen menu (seed, saves, controls)
+ * Clicking anywhere else on it starts the run
+ * @returns {HTMLDivElement} Menu element
+ */
+function createStartMenu() {
+    const startMessage = document.createElement('div');
+    startMessage.style.cssText = `
+        position: absolute;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        background: rgba(0,0,0,0.8);
+        color: white;
+        padding: 20px;
+        border-radius: 10px;
+        text-align: center;
+        z-index: 1000;
+        font-family: 'Courier New', monospace;
+    `;
+    startMessage.innerHTML = 'Click or Tap to Start Game<br><small>Audio will be enabled</small><br><br>';
+
+    // Seed input - entering a shared seed replays the same levels
+    const seedLabel = document.createElement('label');
+    seedLabel.textContent = 'Seed: ';
+    const seedInput = document.createElement('input');
+    seedInput.type = 'text';
+    seedInput.value = rng.getSeed();
+    seedInput.style.cssText = 'font-family: inherit; width: 120px;';
+    seedLabel.appendChild(seedInput);
+    startMessage.appendChild(seedLabel);
+    startMessage.appendChild(document.createElement('br'));
+    startMessage.appendChild(createSettingsButton('Controls (F2)', openControlsSettings));
+
+    // Saved runs - "Continue" resumes the newest save, the list loads a specific slot
+    const saves = saveManager.list();
+    if (saves.length > 0) {
+        startMessage.appendChild(document.createElement('br'));
+        startMessage.appendChild(createSaveButton('Continue', saves[0].slot));
+        for (const save of saves) {
+            const label = `Slot ${save.slot} - Level ${save.level}, ${save.score.toLocaleString()} pts`;
+            startMessage.appendChild(createSaveButton(label, save.slot));
+        }
+    }
+
+    let started = false;
+    async function startRun(e) {
+        if (started || e.target === seedInput) return;
+        started = true;
+        canvas.removeEventListener('click', startRun);
+
+        audioManager.init();
+        audioManager.startLoFiSound();
+        requestMouseLook();
+
+        const slot = e.target.dataset ? e.target.dataset.slot : undefined;
+        try {
+            if (slot && saveManager.load(slot)) {
+                // Saved runs bring their own seed, so the textures follow it
+                generateTextures();
+            } else {
+                // Regenerate the world if a different seed was entered
+                const seed = seedInput.value.trim();
+                if (seed && seed !== rng.getSeed()) {
+                    setRunSeed(seed);
+                    generateTextures();
+                    await generateLevel(1);
+                }
+            }
+        } catch (error) {
+            // A save can pass migration and still fail to restore; stay on the title
+            // screen with a fresh run from the seed box so the next click starts that
+            console.warn('Could not start the run:', error);
+            showNotification(slot ? `Could not load save slot ${slot}` : 'Could not start the run');
+            releaseMouseLook();
+            setRunSeed(seedInput.value.trim() || createRandomSeed());
+            generateTextures();
+            await generateLevel(1);
+            started = false;
+            canvas.addEventListener('click', startRun);
+            return;
+        }
+
+        // Set up the ongoing click handler for gameplay
+        setupCanvasClickHandler();
+        gameFlow.change('playing');
+    }
+    startMessage.addEventListener('click', startRun);
+    canvas.addEventListener('click', startRun);
+
+    return startMessage;
+}
+
 /**
  * Start the game
  */
 function startGame() {
+    // Pick the run seed before anything draws random numbers
+    setRunSeed(getInitialSeed());
+
     // Initialize all modules
     initializeGame();
+    setupGameFlowHandlers();
+
+    // Show the loading screen while the asset files load
+    gameFlow.change('loading');
+    requestAnimationFrame(gameLoop);
 
-    // Generate the first level and start the game loop
-    generateLevel(1).then(() => {
-        gameLoop();
-
-        // Add click to start message
-        const startMessage = document.createElement('div');
-        startMessage.style.cssText = `
-            position: absolute;
-            top: 50%;
-            left: 50%;
-            transform: translate(-50%, -50%);
-            background: rgba(0,0,0,0.8);
-            color: white;
-            padding: 20px;
-            border-radius: 10px;
-            text-align: center;
-            z-index: 1000;
-            font-family: 'Courier New', monospace;
-        `;
-        startMessage.innerHTML = 'Click to Start Game<br><small>Audio will be enabled</small>';
-        document.body.appendChild(startMessage);
-
-        canvas.addEventListener('click', function initGameAudio() {
-            audioManager.init();
-            audioManager.startLoFiSound();
-            startMessage.remove();
-            canvas.removeEventListener('click', initGameAudio);
-            // Set up the ongoing click handler for gameplay
-            setupCanvasClickHandler();
-        }, { once: true });
+    // Swap in the loaded art, generate the first level, then show the title screen over it
+    assetLoader.load().then(() => {
+        assetLoader.applyTextures(textures);
+        return generateLevel(1);
+    }).then(() => {
+        gameFlow.change('title');
     });
 }
 
@@ -0,0 +1,319 @@
+// --- Pathfinding ---
+
+// Paths planned per simulation step; further requests wait for the next steps
+const PATHFINDING_REQUESTS_PER_STEP = 2;
+
+// Tile steps a path search moves through (no diagonals, so paths never cut wall corners)
+const PATH_STEPS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+// Stops on a patrol route before it turns back, at least PATROL_LEG_TILES apart (in tiles
+// along the grid), found within PATROL_ROUTE_MAX_STEPS steps through the corridor graph
+const PATROL_ROUTE_NODES = 4;
+const PATROL_LEG_TILES = 4;
+const PATROL_ROUTE_MAX_STEPS = 60;
+
+/**
+ * Find the shortest path between two tiles with A* over the tile grid
+ * @param {number} startX - Start tile column
+ * @param {number} startY - Start tile row
+ * @param {number} goalX - Goal tile column
+ * @param {number} goalY - Goal tile row
+ * @param {number} width - Map width in tiles
+ * @param {number} height - Map height in tiles
+ * @param {Function} isWalkable - (tileX, tileY) => true if the path may pass through the tile
+ * @returns {Object[]|null} Tiles { x, y } from the one after the start to the goal
+ *                          (empty if start and goal are the same), or null if there is no path
+ */
+function findPath(startX, startY, goalX, goalY, width, height, isWalkable) {
+    if (startX === goalX && startY === goalY) return [];
+    if (goalX < 0 || goalY < 0 || goalX >= width || goalY >= height || !isWalkable(goalX, goalY)) return null;
+
+    const tileCount = width * height;
+    const costs = new Float64Array(tileCount).fill(Infinity);
+    const cameFrom = new Int32Array(tileCount).fill(-1);
+    const closed = new Uint8Array(tileCount);
+    const open = new PathHeap();
+
+    const start = startY * width + startX;
+    const goal = goalY * width + goalX;
+    costs[start] = 0;
+    open.push(start, Math.abs(goalX - startX) + Math.abs(goalY - startY));
+
+    while (open.size > 0) {
+        const current = open.pop();
+        if (current === goal) break;
+        if (closed[current]) continue;
+        closed[current] = 1;
+
+        const x = current % width;
+        const y = (current - x) / width;
+        for (const [dx, dy] of PATH_STEPS) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+
+            const next = ny * width + nx;
+            if (closed[next] || !isWalkable(nx, ny)) continue;
+
+            const cost = costs[current] + 1;
+            if (cost >= costs[next]) continue;
+
+            costs[next] = cost;
+            cameFrom[next] = current;
+            open.push(next, cost + Math.abs(goalX - nx) + Math.abs(goalY - ny));
+        }
+    }
+
+    if (cameFrom[goal] === -1) return null;
+
+    const path = [];
+    for (let tile = goal; tile !== start; tile = cameFrom[tile]) {
+        path.push({ x: tile % width, y: Math.floor(tile / width) });
+    }
+    return path.reverse();
+}
+
+/**
+ * PathHeap - Binary min-heap of tile indices by priority, the A* open set
+ * A tile can be pushed more than once; findPath skips the copies it has already closed
+ */
+class PathHeap {
+    /**
+     * Create a new, empty PathHeap
+     */
+    constructor() {
+        this.tiles = [];
+        this.priorities = [];
+        this.size = 0;
+    }
+
+    /**
+     * Add a tile
+     * @param {number} tile - Tile index
+     * @param {number} priority - Estimated total path cost through the tile
+     */
+    push(tile, priority) {
+        let index = this.size++;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.priorities[parent] <= priority) break;
+            this.tiles[index] = this.tiles[parent];
+            this.priorities[index] = this.priorities[parent];
+            index = parent;
+        }
+        this.tiles[index] = tile;
+        this.priorities[index] = priority;
+    }
+
+    /**
+     * Remove the tile with the lowest priority
+     * @returns {number} Tile index
+     */
+    pop() {
+        const top = this.tiles[0];
+        const lastTile = this.tiles[--this.size];
+        const lastPriority = this.priorities[this.size];
+
+        let index = 0;
+        while (true) {
+            let child = index * 2 + 1;
+            if (child >= this.size) break;
+            if (child + 1 < this.size && this.priorities[child + 1] < this.priorities[child]) child++;
+            if (this.priorities[child] >= lastPriority) break;
+            this.tiles[index] = this.tiles[child];
+            this.priorities[index] = this.priorities[child];
+            index = child;
+        }
+        this.tiles[index] = lastTile;
+        this.priorities[index] = lastPriority;
+        return top;
+    }
+}
+
+/**
+ * PathPlanner - Queue of path requests worked off a few per simulation step
+ * Spreading the searches over steps keeps a level full of enemies that all replan
+ * at once from costing one long step
+ */
+class PathPlanner {
+    /**
+     * Create a new PathPlanner
+     * @param {number} requestsPerStep - Paths planned per update
+     */
+    constructor(requestsPerStep = PATHFINDING_REQUESTS_PER_STEP) {
+        this.requestsPerStep = requestsPerStep;
+        this.width = 0;
+        this.height = 0;
+        this.isWalkable = () => false;
+
+        // Requester -> { startX, startY, goalX, goalY, callback }, in the order they asked
+        this.requests = new Map();
+    }
+
+    /**
+     * Plan on a new map, dropping every waiting request
+     * @param {number} width - Map width in tiles
+     * @param {number} height - Map height in tiles
+     * @param {Function} isWalkable - (tileX, tileY) => true if paths may pass through the tile
+     */
+    reset(width, height, isWalkable) {
+        this.width = width;
+        this.height = height;
+        this.isWalkable = isWalkable;
+        this.requests.clear();
+    }
+
+    /**
+     * Drop every waiting request
+     */
+    clear() {
+        this.requests.clear();
+    }
+
+    /**
+     * Ask for a path; the callback runs once it has been planned in a later update
+     * A requester asking again before its path is planned replaces its request but keeps its place
+     * @param {Object} requester - Who the path is for (one waiting request each)
+     * @param {number} startX - Start tile column
+     * @param {number} startY - Start tile row
+     * @param {number} goalX - Goal tile column
+     * @param {number} goalY - Goal tile row
+     * @param {Function} callback - Called with the path (see findPath)
+     */
+    request(requester, startX, startY, goalX, goalY, callback) {
+        this.requests.set(requester, { startX, startY, goalX, goalY, callback });
+    }
+
+    /**
+     * Drop a requester's waiting request
+     * @param {Object} requester - Who the path was for
+     */
+    cancel(requester) {
+        this.requests.delete(requester);
+    }
+
+    /**
+     * Check whether a requester is waiting for a path
+     * @param {Object} requester - Who the path is for
+     * @returns {boolean} True if its request has not been planned yet
+     */
+    isPending(requester) {
+        return this.requests.has(requester);
+    }
+
+    /**
+     * Plan the oldest waiting requests, up to requestsPerStep
+     */
+    update() {
+        let planned = 0;
+        for (const [requester, request] of this.requests) {
+            if (planned >= this.requestsPerStep) break;
+
+            this.requests.delete(requester);
+            request.callback(findPath(request.startX, request.startY, request.goalX, request.goalY,
+                this.width, this.height, this.isWalkable));
+            planned++;
+        }
+    }
+}
+
+/**
+ * Build the corridor graph of a map: its junctions, corners and dead ends, linked by the
+ * straight corridors between them
+ * @param {number} width - Map width in tiles
+ * @param {number} height - Map height in tiles
+ * @param {Function} isWalkable - (tileX, tileY) => true if the tile can be walked through
+ * @returns {Object[]} Nodes { x, y, links } where links are the indices of the linked nodes
+ */
+function buildCorridorGraph(width, height, isWalkable) {
+    const walkable = (x, y) => x >= 0 && y >= 0 && x < width && y < height && isWalkable(x, y);
+    const nodes = [];
+    const nodeIndex = new Map();
+
+    // A tile is a node unless it is the middle of a straight corridor
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (!walkable(x, y)) continue;
+
+            const alongX = walkable(x - 1, y) && walkable(x + 1, y);
+            const alongY = walkable(x, y - 1) && walkable(x, y + 1);
+            const exits = PATH_STEPS.filter(([dx, dy]) => walkable(x + dx, y + dy)).length;
+            if (exits === 2 && (alongX || alongY)) continue;
+
+            nodeIndex.set(y * width + x, nodes.length);
+            nodes.push({ x: x, y: y, links: [] });
+        }
+    }
+
+    // Follow each corridor out of a node to the next node along it
+    for (const node of nodes) {
+        for (const [dx, dy] of PATH_STEPS) {
+            let x = node.x + dx;
+            let y = node.y + dy;
+            while (walkable(x, y) && !nodeIndex.has(y * width + x)) {
+                x += dx;
+                y += dy;
+            }
+            if (walkable(x, y)) node.links.push(nodeIndex.get(y * width + x));
+        }
+    }
+    return nodes;
+}
+
+/**
+ * Create a patrol route through the corridor graph starting at the node nearest a position
+ * The route wanders from node to node, preferring nodes it has not been to and only doubling
+ * back at dead ends, and stops at nodes far enough from the previous stop
+ * @param {Object[]} nodes - Corridor graph (see buildCorridorGraph)
+ * @param {number} x - X position the route starts near
+ * @param {number} y - Y position the route starts near
+ * @param {SeededRandom} random - Random stream for the route
+ * @returns {Object[]} Route points { x, y } at tile centres, empty if the graph has no nodes
+ */
+function createPatrolRoute(nodes, x, y, random) {
+    if (nodes.length === 0) return [];
+
+    let current = 0;
+    for (let i = 1; i < nodes.length; i++) {
+        if (Math.hypot(nodes[i].x + 0.5 - x, nodes[i].y + 0.5 - y) <
+            Math.hypot(nodes[current].x + 0.5 - x, nodes[current].y + 0.5 - y)) {
+            current = i;
+        }
+    }
+
+    const route = [current];
+    const visited = new Set(route);
+    let previous = -1;
+    for (let step = 0; step < PATROL_ROUTE_MAX_STEPS && route.length < PATROL_ROUTE_NODES; step++) {
+        const links = nodes[current].links;
+        if (links.length === 0) break;
+
+        const unvisited = links.filter(link => !visited.has(link));
+        const forward = links.filter(link => link !== previous);
+        const next = random.pick(unvisited.length > 0 ? unvisited : forward.length > 0 ? forward : links);
+        previous = current;
+        current = next;
+        visited.add(current);
+
+        const stop = nodes[route[route.length - 1]];
+        if (Math.abs(nodes[current].x - stop.x) + Math.abs(nodes[current].y - stop.y) >= PATROL_LEG_TILES) {
+            route.push(current);
+        }
+    }
+    return route.map(index => ({ x: nodes[index].x + 0.5, y: nodes[index].y + 0.5 }));
+}
+
+// Export pathfinding
+if (typeof window !== 'undefined') {
+    window.PATHFINDING_REQUESTS_PER_STEP = PATHFINDING_REQUESTS_PER_STEP;
+    window.PATROL_ROUTE_NODES = PATROL_ROUTE_NODES;
+    window.findPath = findPath;
+    window.PathPlanner = PathPlanner;
+    window.buildCorridorGraph = buildCorridorGraph;
+    window.createPatrolRoute = createPatrolRoute;
+} else if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        PATHFINDING_REQUESTS_PER_STEP, PATROL_ROUTE_NODES, findPath, PathHeap, PathPlanner,
+        buildCorridorGraph, createPatrolRoute
+    };
+}
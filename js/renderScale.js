@@ -0,0 +1,160 @@
+// --- Render Resolution ---
+
+const DISPLAY_SETTINGS_STORAGE_KEY = 'raycaster.display';
+
+/**
+ * Internal resolutions for the 3D view, as a fraction of the canvas size or a fixed size
+ * The HUD is always drawn at the canvas resolution
+ */
+const RENDER_SCALE_OPTIONS = {
+    full: { label: '100%', scale: 1 },
+    high: { label: '75%', scale: 0.75 },
+    half: { label: '50%', scale: 0.5 },
+    retro: { label: 'Retro 320×200', width: 320, height: 200 }
+};
+
+// Default display settings
+const DEFAULT_DISPLAY_SETTINGS = {
+    renderScale: 'full', // Key in RENDER_SCALE_OPTIONS
+    dynamicResolution: false // Lower the resolution while frames take too long to render
+};
+
+// Dynamic resolution tuning
+const DYNAMIC_RESOLUTION_BUDGET = 12; // Target render time per frame in ms, leaving room in a 60 fps frame
+const DYNAMIC_RESOLUTION_MIN_FACTOR = 0.35; // Lowest fraction of the selected resolution
+const DYNAMIC_RESOLUTION_STEP = 0.05; // Change in the fraction per adjustment
+const DYNAMIC_RESOLUTION_INTERVAL = 0.5; // Seconds between adjustments, so the resolution does not flicker
+
+/**
+ * RenderResolution - Chooses the resolution the 3D view is rendered at
+ * Sets renderWidth/renderHeight (setup.js) from the canvas size, the selected
+ * render scale and, in dynamic mode, the measured render time
+ */
+class RenderResolution {
+    /**
+     * Create a new RenderResolution
+     * @param {Storage|null} storage - Storage the settings persist to
+     */
+    constructor(storage = null) {
+        this.storage = storage;
+        this.settings = { ...DEFAULT_DISPLAY_SETTINGS };
+
+        // Fraction of the selected resolution used in dynamic mode
+        this.dynamicFactor = 1;
+        this.averageRenderTime = 0;
+        this.adjustTimer = 0;
+
+        this.loadSettings();
+    }
+
+    /**
+     * Get the selected render scale option
+     * @returns {Object} Entry of RENDER_SCALE_OPTIONS
+     */
+    getOption() {
+        return RENDER_SCALE_OPTIONS[this.settings.renderScale] || RENDER_SCALE_OPTIONS[DEFAULT_DISPLAY_SETTINGS.renderScale];
+    }
+
+    /**
+     * Recompute the render resolution for the current canvas size and reallocate the depth buffer
+     * Called by initializeCanvas() and whenever a setting or the dynamic factor changes
+     */
+    apply() {
+        const option = this.getOption();
+        const baseWidth = option.width || screenWidth * option.scale;
+        const baseHeight = option.height || screenHeight * option.scale;
+        const factor = this.settings.dynamicResolution ? this.dynamicFactor : 1;
+
+        renderWidth = Math.max(1, Math.min(screenWidth, Math.round(baseWidth * factor)));
+        renderHeight = Math.max(1, Math.min(screenHeight, Math.round(baseHeight * factor)));
+        window.renderWidth = renderWidth;
+        window.renderHeight = renderHeight;
+
+        // Depth buffer for sprite occlusion, one entry per rendered column
+        gameState.zBuffer = new Float32Array(renderWidth);
+    }
+
+    /**
+     * Feed the time the last frame took to render; in dynamic mode the resolution
+     * drops while frames go over budget and recovers once they are comfortably under it
+     * @param {number} renderTime - Render time in ms
+     * @param {number} frameTime - Real time since the last frame in seconds
+     */
+    reportRenderTime(renderTime, frameTime) {
+        if (!this.settings.dynamicResolution) return;
+
+        // Smooth out single slow frames
+        this.averageRenderTime += (renderTime - this.averageRenderTime) * 0.1;
+        this.adjustTimer += frameTime;
+        if (this.adjustTimer < DYNAMIC_RESOLUTION_INTERVAL) return;
+        this.adjustTimer = 0;
+
+        let factor = this.dynamicFactor;
+        if (this.averageRenderTime > DYNAMIC_RESOLUTION_BUDGET) {
+            factor = Math.max(DYNAMIC_RESOLUTION_MIN_FACTOR, factor - DYNAMIC_RESOLUTION_STEP);
+        } else if (this.averageRenderTime < DYNAMIC_RESOLUTION_BUDGET * 0.6) {
+            factor = Math.min(1, factor + DYNAMIC_RESOLUTION_STEP);
+        }
+
+        if (factor !== this.dynamicFactor) {
+            this.dynamicFactor = factor;
+            this.apply();
+        }
+    }
+
+    /**
+     * Change a display setting, persist it and resize the 3D view
+     * @param {string} name - Setting name (renderScale, dynamicResolution)
+     * @param {string|boolean} value - New value
+     */
+    setSetting(name, value) {
+        if (!(name in this.settings) || typeof value !== typeof DEFAULT_DISPLAY_SETTINGS[name]) return;
+        if (name === 'renderScale' && !RENDER_SCALE_OPTIONS[value]) return;
+
+        this.settings[name] = value;
+        this.dynamicFactor = 1;
+        this.saveSettings();
+        this.apply();
+    }
+
+    /**
+     * Load saved settings, keeping defaults for missing ones
+     */
+    loadSettings() {
+        if (!this.storage) return;
+
+        try {
+            const saved = JSON.parse(this.storage.getItem(DISPLAY_SETTINGS_STORAGE_KEY) || 'null');
+            if (!saved) return;
+
+            for (const name in this.settings) {
+                if (typeof saved[name] === typeof DEFAULT_DISPLAY_SETTINGS[name]) {
+                    this.settings[name] = saved[name];
+                }
+            }
+        } catch (e) {
+            console.warn('RenderResolution: Could not load settings:', e);
+        }
+    }
+
+    /**
+     * Persist the current settings
+     */
+    saveSettings() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(DISPLAY_SETTINGS_STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (e) {
+            console.warn('RenderResolution: Could not save settings:', e);
+        }
+    }
+}
+
+// Global render resolution instance
+const renderResolution = new RenderResolution(getDefaultStorage());
+
+// --- Exports ---
+window.RENDER_SCALE_OPTIONS = RENDER_SCALE_OPTIONS;
+window.RenderResolution = RenderResolution;
+window.renderResolution = renderResolution;
@@ -1,24 +1,200 @@
 // --- Rendering Module ---
 
+// Number of precomputed brightness levels per texture (see getShadedTexture)
+const SHADE_LEVELS = 64;
+
+// Distance shading: surfaces darken linearly until SHADE_DISTANCE tiles, never below MIN_DISTANCE_SHADE
+const SHADE_DISTANCE = 15;
+const MIN_DISTANCE_SHADE = 0.3;
+
+// Brightness of walls facing north/south, so corners stay readable
+const SIDE_WALL_SHADE = 0.7;
+
+// Floors and ceilings sample the light map at the ends of spans this many pixels wide
+// and blend between them, since the light changes far more slowly than the texels
+const LIGHT_SPAN_PIXELS = 16;
+
+// Persistent framebuffer at the render resolution: one ImageData reused every frame,
+// written through a 32-bit pixel view
+let frameImageData = null;
+let frameBuffer = null;
+
+// Offscreen canvas the framebuffer is scaled up from when the render resolution is below the canvas size
+let renderCanvas = null;
+let renderCtx = null;
+
+// Depth of the nearest sprite drawn at each pixel (walls keep their per-column gameState.zBuffer)
+let spriteDepthBuffer = null;
+
+// Sprites in view this frame, nearest first. The view objects are pooled and reused every frame,
+// so sorting never reorders the world's entity list
+const spriteViews = [];
+const spriteViewPool = [];
+
+// Packed framebuffer colours by CSS colour string
+const packedColorCache = new Map();
+const packScratch = new Uint8ClampedArray(4);
+const packScratch32 = new Uint32Array(packScratch.buffer);
+
+// Number of spark lines drawn around an impact
+const IMPACT_SPARK_COUNT = 6;
+
+// Shaded copies of each texture, rebuilt when generateTextures() replaces the ImageData
+const shadedTextureCache = new WeakMap();
+
+// Shaded wall and door textures indexed by tile ID, refreshed every frame
+const shadedWallTextures = [];
+
+// Shaded texture of the walls framing a door, refreshed every frame
+let shadedDoorFrameTexture = null;
+
+/**
+ * Get the framebuffer for the current render resolution, reallocating only when it changes
+ * @returns {Uint32Array} One packed RGBA pixel per element, row by row
+ */
+function getFrameBuffer() {
+    if (!frameImageData || frameImageData.width !== renderWidth || frameImageData.height !== renderHeight) {
+        frameImageData = ctx.createImageData(renderWidth, renderHeight);
+        frameBuffer = new Uint32Array(frameImageData.data.buffer);
+        spriteDepthBuffer = new Float32Array(renderWidth * renderHeight);
+    }
+    return frameBuffer;
+}
+
+/**
+ * Copy the framebuffer to the canvas, scaling it up with nearest-neighbour filtering
+ * when the render resolution is lower than the canvas
+ */
+function presentFrameBuffer() {
+    if (renderWidth === screenWidth && renderHeight === screenHeight) {
+        ctx.putImageData(frameImageData, 0, 0);
+        return;
+    }
+
+    if (!renderCanvas) {
+        renderCanvas = document.createElement('canvas');
+        renderCtx = renderCanvas.getContext('2d');
+    }
+    if (renderCanvas.width !== renderWidth || renderCanvas.height !== renderHeight) {
+        renderCanvas.width = renderWidth;
+        renderCanvas.height = renderHeight;
+    }
+
+    renderCtx.putImageData(frameImageData, 0, 0);
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(renderCanvas, 0, 0, screenWidth, screenHeight);
+}
+
+/**
+ * Get the framebuffer value for a CSS colour
+ * The canvas context normalises the colour string, so any CSS colour works
+ * @param {string} color - CSS colour (e.g. '#ff0000', 'white')
+ * @returns {Object} Colour {r, g, b, packed} where packed is in framebuffer byte order
+ */
+function getPackedColor(color) {
+    let packedColor = packedColorCache.get(color);
+    if (packedColor) return packedColor;
+
+    ctx.fillStyle = color;
+    const hex = ctx.fillStyle; // '#rrggbb' for opaque colours
+    const r = parseInt(hex.slice(1, 3), 16) || 0;
+    const g = parseInt(hex.slice(3, 5), 16) || 0;
+    const b = parseInt(hex.slice(5, 7), 16) || 0;
+
+    packScratch[0] = r;
+    packScratch[1] = g;
+    packScratch[2] = b;
+    packScratch[3] = 255;
+    packedColor = { r: r, g: g, b: b, packed: packScratch32[0] };
+    packedColorCache.set(color, packedColor);
+    return packedColor;
+}
+
+/**
+ * Get a texture's pixels pre-shaded at every brightness level
+ * Level L of texel i is at index L * textureWidth * textureHeight + i, packed in the
+ * same byte order as the framebuffer so it can be copied with a single write
+ * @param {ImageData} texture - Source texture
+ * @returns {Uint32Array} Shaded texels for all SHADE_LEVELS levels
+ */
+function getShadedTexture(texture) {
+    let shaded = shadedTextureCache.get(texture);
+    if (shaded) return shaded;
+
+    const source = texture.data;
+    const texelCount = texture.width * texture.height;
+    const bytes = new Uint8ClampedArray(SHADE_LEVELS * texelCount * 4);
+
+    for (let level = 0; level < SHADE_LEVELS; level++) {
+        const shade = level / (SHADE_LEVELS - 1);
+        const levelOffset = level * texelCount * 4;
+        for (let i = 0; i < texelCount * 4; i += 4) {
+            bytes[levelOffset + i] = source[i] * shade;
+            bytes[levelOffset + i + 1] = source[i + 1] * shade;
+            bytes[levelOffset + i + 2] = source[i + 2] * shade;
+            bytes[levelOffset + i + 3] = 255;
+        }
+    }
+
+    shaded = new Uint32Array(bytes.buffer);
+    shadedTextureCache.set(texture, shaded);
+    return shaded;
+}
+
+/**
+ * Convert a brightness factor to a shade level
+ * @param {number} shade - Brightness (0-1)
+ * @returns {number} Shade level (0 to SHADE_LEVELS - 1)
+ */
+function getShadeLevel(shade) {
+    return Math.round(Math.min(1, shade) * (SHADE_LEVELS - 1));
+}
+
+/**
+ * Get the brightness of a surface at a distance from the player
+ * @param {number} distance - Distance in tiles
+ * @returns {number} Brightness (MIN_DISTANCE_SHADE-1)
+ */
+function getDistanceShade(distance) {
+    return Math.max(MIN_DISTANCE_SHADE, 1 - distance / SHADE_DISTANCE);
+}
+
+/**
+ * Get the framebuffer value for a CSS colour darkened to a brightness
+ * @param {string} color - CSS colour
+ * @param {number} shade - Brightness (0-1)
+ * @returns {number} Colour in framebuffer byte order
+ */
+function getShadedColor(color, shade) {
+    const packedColor = getPackedColor(color);
+    if (shade >= 1) return packedColor.packed;
+
+    packScratch[0] = packedColor.r * shade;
+    packScratch[1] = packedColor.g * shade;
+    packScratch[2] = packedColor.b * shade;
+    packScratch[3] = 255;
+    return packScratch32[0];
+}
+
 /**
  * Main rendering function - orchestrates all rendering operations
  */
 function renderFrame() {
     const p = gameState.player;
-    ctx.clearRect(0, 0, screenWidth, screenHeight);
-    const screenImageData = ctx.createImageData(screenWidth, screenHeight);
+    const buffer = getFrameBuffer();
 
     // Render floor and ceiling
-    renderFloorAndCeiling(screenImageData, p);
+    renderFloorAndCeiling(buffer, p);
     
     // Render walls using raycasting
-    renderRaycasting(screenImageData, p);
-    
-    // Put the rendered image data to canvas
-    ctx.putImageData(screenImageData, 0, 0);
+    renderRaycasting(buffer, p);
 
-    // Render sprites (enemies, pickups, projectiles)
-    renderSprites(p);
+    // Render sprites (enemies, pickups, projectiles) into the same buffer
+    renderSprites(buffer, p);
+    
+    // Put the rendered image data to canvas, upscaled to the canvas size
+    // The overlays and HUD below are drawn at the canvas resolution
+    presentFrameBuffer();
 
     // Render hit effect
     renderHitEffect(p);
@@ -29,6 +205,11 @@ function renderFrame() {
     // Render UI elements
     renderUI();
 
+    // Render touch controls once a touch has been detected
+    if (touchControls.enabled) {
+        renderTouchControls();
+    }
+
     // Render crosshair
     renderCrosshair();
 
@@ -43,55 +224,87 @@ function renderFrame() {
 
 /**
  * Render floor and ceiling with texturing
+ * Everything that is constant along a row (distance, texture) is computed once per row;
+ * the light map is sampled every LIGHT_SPAN_PIXELS and the shade level blended in between
+ * @param {Uint32Array} buffer - Framebuffer (see getFrameBuffer)
+ * @param {Player} p - Player the view is rendered from
  */
-function renderFloorAndCeiling(screenImageData, p) {
-    for (let y = 0; y < screenHeight; y++) {
-        const isFloor = y > screenHeight / 2;
-        const rayDirX0 = p.dirX - p.planeX;
-        const rayDirY0 = p.dirY - p.planeY;
-        const rayDirX1 = p.dirX + p.planeX;
-        const rayDirY1 = p.dirY + p.planeY;
-
-        const p_ = isFloor ? (y - screenHeight / 2) : (screenHeight / 2 - y);
-        const posZ = 0.5 * screenHeight;
-        const rowDistance = posZ / p_;
-
-        const floorStepX = rowDistance * (rayDirX1 - rayDirX0) / screenWidth;
-        const floorStepY = rowDistance * (rayDirY1 - rayDirY0) / screenWidth;
+function renderFloorAndCeiling(buffer, p) {
+    const floorTexture = getShadedTexture(textures.floor);
+    const ceilingTexture = getShadedTexture(textures.ceiling);
+    const texelCount = textureWidth * textureHeight;
+    const textureMaskX = textureWidth - 1;
+    const textureMaskY = textureHeight - 1;
+
+    const rayDirX0 = p.dirX - p.planeX;
+    const rayDirY0 = p.dirY - p.planeY;
+    const rayDirX1 = p.dirX + p.planeX;
+    const rayDirY1 = p.dirY + p.planeY;
+    const posZ = 0.5 * renderHeight;
+    const horizon = renderHeight / 2;
+    const lightMap = gameState.lightMap;
+
+    for (let y = 0; y < renderHeight; y++) {
+        const isFloor = y > horizon;
+        const rowDistance = posZ / (isFloor ? (y - horizon) : (horizon - y));
+
+        const floorStepX = rowDistance * (rayDirX1 - rayDirX0) / renderWidth;
+        const floorStepY = rowDistance * (rayDirY1 - rayDirY0) / renderWidth;
 
         let floorX = p.x + rowDistance * rayDirX0;
         let floorY = p.y + rowDistance * rayDirY0;
 
-        for (let x = 0; x < screenWidth; x++) {
-            const cellX = Math.floor(floorX);
-            const cellY = Math.floor(floorY);
-
-            const tx = Math.floor(textureWidth * (floorX - cellX)) & (textureWidth - 1);
-            const ty = Math.floor(textureHeight * (floorY - cellY)) & (textureHeight - 1);
-
-            floorX += floorStepX;
-            floorY += floorStepY;
-
-            const texture = isFloor ? textures.floor : textures.ceiling;
-            const texIndex = (ty * textureWidth + tx) * 4;
-            const screenIndex = (y * screenWidth + x) * 4;
-
-            const shade = Math.max(0.3, 1 - rowDistance / 15); // Add distance shading
-
-            screenImageData.data[screenIndex] = texture.data[texIndex] * shade;
-            screenImageData.data[screenIndex + 1] = texture.data[texIndex + 1] * shade;
-            screenImageData.data[screenIndex + 2] = texture.data[texIndex + 2] * shade;
-            screenImageData.data[screenIndex + 3] = 255;
+        // Texture coordinates are kept in texels; wrapping with the mask replaces the per-tile subtraction
+        let texelX = floorX * textureWidth;
+        let texelY = floorY * textureHeight;
+        const texelStepX = floorStepX * textureWidth;
+        const texelStepY = floorStepY * textureHeight;
+
+        const texture = isFloor ? floorTexture : ceilingTexture;
+        const distanceShade = getDistanceShade(rowDistance);
+        const rowStart = y * renderWidth;
+        let level = getShadeLevel(distanceShade * lightMap.sample(floorX, floorY));
+
+        for (let spanStart = 0; spanStart < renderWidth; spanStart += LIGHT_SPAN_PIXELS) {
+            const spanLength = Math.min(LIGHT_SPAN_PIXELS, renderWidth - spanStart);
+            floorX += floorStepX * spanLength;
+            floorY += floorStepY * spanLength;
+            const endLevel = getShadeLevel(distanceShade * lightMap.sample(floorX, floorY));
+            const levelStep = (endLevel - level) / spanLength;
+
+            const spanEnd = rowStart + spanStart + spanLength;
+            for (let screenIndex = rowStart + spanStart; screenIndex < spanEnd; screenIndex++) {
+                const tx = Math.floor(texelX) & textureMaskX;
+                const ty = Math.floor(texelY) & textureMaskY;
+                texelX += texelStepX;
+                texelY += texelStepY;
+
+                const levelOffset = Math.round(level) * texelCount;
+                level += levelStep;
+
+                buffer[screenIndex] = texture[levelOffset + ty * textureWidth + tx];
+            }
+            level = endLevel;
         }
     }
 }
 
 /**
  * Render walls using raycasting algorithm
+ * The texture column and shade are fixed per screen column, so the inner loop only steps texY
+ * @param {Uint32Array} buffer - Framebuffer (see getFrameBuffer)
+ * @param {Player} p - Player the view is rendered from
  */
-function renderRaycasting(screenImageData, p) {
-    for (let x = 0; x < screenWidth; x++) {
-        const cameraX = 2 * x / screenWidth - 1;
+function renderRaycasting(buffer, p) {
+    for (const id in textures.walls) {
+        shadedWallTextures[id] = getShadedTexture(textures.walls[id]);
+    }
+    shadedDoorFrameTexture = getShadedTexture(textures.doorFrame);
+    const texelCount = textureWidth * textureHeight;
+    const textureMaskY = textureHeight - 1;
+
+    for (let x = 0; x < renderWidth; x++) {
+        const cameraX = 2 * x / renderWidth - 1;
         const rayDirX = p.dirX + p.planeX * cameraX;
         const rayDirY = p.dirY + p.planeY * cameraX;
         let mapX = Math.floor(p.x);
@@ -106,156 +319,387 @@ function renderRaycasting(screenImageData, p) {
         if (rayDirY < 0) { stepY = -1; sideDistY = (p.y - mapY) * deltaDistY; }
         else { stepY = 1; sideDistY = (mapY + 1.0 - p.y) * deltaDistY; }
 
+        let tile, perpWallDist, doorOffset = -1;
         while (hit === 0) {
+            // Distance at which the ray enters the next tile
+            const entryDist = Math.min(sideDistX, sideDistY);
             if (sideDistX < sideDistY) { sideDistX += deltaDistX; mapX += stepX; side = 0; }
             else { sideDistY += deltaDistY; mapY += stepY; side = 1; }
-            if (gameState.map[mapY][mapX] > 0) hit = 1;
+
+            tile = gameState.map[mapY][mapX];
+            if (tile === 0) continue;
+            if (!DOOR_TYPES[tile]) {
+                hit = 1;
+                perpWallDist = entryDist;
+                break;
+            }
+
+            // Doors are recessed to the middle of their tile and slide sideways as they open
+            const door = gameState.doors.get(mapX, mapY);
+            if (!door || door.openAmount >= 1) continue;
+
+            const doorDist = door.spansX ? (mapY + 0.5 - p.y) / rayDirY : (mapX + 0.5 - p.x) / rayDirX;
+            if (!(doorDist >= entryDist && doorDist < Math.min(sideDistX, sideDistY))) continue;
+
+            let doorX = door.spansX ? p.x + doorDist * rayDirX : p.y + doorDist * rayDirY;
+            doorX -= Math.floor(doorX);
+            if (doorX < door.openAmount) continue; // Through the gap the door has opened
+
+            hit = 1;
+            perpWallDist = doorDist;
+            doorOffset = doorX - door.openAmount;
+            side = door.spansX ? 1 : 0;
+        }
+
+        // The tile ID picks the texture, unknown IDs fall back to the first wall type;
+        // the walls beside a door tile show the door frame
+        let wallTexture = shadedWallTextures[tile] || shadedWallTextures[1];
+        if (doorOffset < 0) {
+            const previousTile = side === 0 ? gameState.map[mapY][mapX - stepX] : gameState.map[mapY - stepY][mapX];
+            if (DOOR_TYPES[previousTile]) wallTexture = shadedDoorFrameTexture;
         }
 
-        const perpWallDist = (side === 0) ? (sideDistX - deltaDistX) : (sideDistY - deltaDistY);
         gameState.zBuffer[x] = perpWallDist;
 
-        const lineHeight = Math.floor(screenHeight / perpWallDist);
-        const drawStart = Math.max(0, Math.floor(-lineHeight / 2 + screenHeight / 2));
-        const drawEnd = Math.min(screenHeight - 1, Math.floor(lineHeight / 2 + screenHeight / 2));
+        const lineHeight = Math.floor(renderHeight / perpWallDist);
+        const drawStart = Math.max(0, Math.floor(-lineHeight / 2 + renderHeight / 2));
+        const drawEnd = Math.min(renderHeight - 1, Math.floor(lineHeight / 2 + renderHeight / 2));
 
-        // Wall texturing
-        let wallX;
-        if (side === 0) {
-            wallX = p.y + perpWallDist * rayDirY;
+        // Wall texturing; a door panel's texture slides with it
+        let texX;
+        if (doorOffset >= 0) {
+            texX = Math.min(textureWidth - 1, Math.floor(doorOffset * textureWidth));
         } else {
-            wallX = p.x + perpWallDist * rayDirX;
+            let wallX;
+            if (side === 0) {
+                wallX = p.y + perpWallDist * rayDirY;
+            } else {
+                wallX = p.x + perpWallDist * rayDirX;
+            }
+            wallX -= Math.floor(wallX);
+
+            texX = Math.floor(wallX * textureWidth);
+            if (side === 0 && rayDirX > 0) texX = textureWidth - texX - 1;
+            if (side === 1 && rayDirY < 0) texX = textureWidth - texX - 1;
         }
-        wallX -= Math.floor(wallX);
 
-        let texX = Math.floor(wallX * textureWidth);
-        if (side === 0 && rayDirX > 0) texX = textureWidth - texX - 1;
-        if (side === 1 && rayDirY < 0) texX = textureWidth - texX - 1;
+        // Wall faces take the light of the tiles in front of them
+        const light = gameState.lightMap.sample(p.x + perpWallDist * rayDirX, p.y + perpWallDist * rayDirY);
+        const shade = (side === 1 ? SIDE_WALL_SHADE : 1.0) * getDistanceShade(perpWallDist) * light;
+        const columnOffset = getShadeLevel(shade) * texelCount + texX;
 
         const step = textureHeight / lineHeight;
-        let texPos = (drawStart - screenHeight / 2 + lineHeight / 2) * step;
+        let texPos = (drawStart - renderHeight / 2 + lineHeight / 2) * step;
+        let screenIndex = drawStart * renderWidth + x;
 
         for (let y = drawStart; y < drawEnd; y++) {
-            const texY = Math.floor(texPos) & (textureHeight - 1);
+            const texY = Math.floor(texPos) & textureMaskY;
             texPos += step;
 
-            const wallTexIndex = (texY * textureWidth + texX) * 4;
-            const screenIndex = (y * screenWidth + x) * 4;
-
-            const distanceShade = Math.max(0.3, 1 - perpWallDist / 15);
-            const shade = (side === 1 ? 0.7 : 1.0) * distanceShade;
-
-            screenImageData.data[screenIndex] = textures.wall.data[wallTexIndex] * shade;
-            screenImageData.data[screenIndex + 1] = textures.wall.data[wallTexIndex + 1] * shade;
-            screenImageData.data[screenIndex + 2] = textures.wall.data[wallTexIndex + 2] * shade;
-            screenImageData.data[screenIndex + 3] = 255;
+            buffer[screenIndex] = wallTexture[columnOffset + texY * textureWidth];
+            screenIndex += renderWidth;
         }
     }
 }
 
 /**
- * Render all sprites (enemies, pickups, projectiles, effects)
+ * Collect the sprites in front of the camera into spriteViews, nearest first
+ * Camera-space position and depth are computed once per sprite per frame
+ * @param {Player} p - Player the view is rendered from
  */
-function renderSprites(p) {
-    // Sort sprites by distance for proper depth rendering
-    gameState.sprites.sort((a, b) => Math.hypot(b.x - p.x, b.y - p.y) - Math.hypot(a.x - p.x, a.y - p.y));
+function collectSpriteViews(p) {
+    const entities = gameState.world.getEntities();
+    const invDet = 1.0 / (p.planeX * p.dirY - p.dirX * p.planeY);
+
+    spriteViews.length = 0;
+    for (let i = 0; i < entities.length; i++) {
+        const sprite = entities[i];
+        if (sprite === p) continue;
 
-    for (let i = 0; i < gameState.sprites.length; i++) {
-        const sprite = gameState.sprites[i];
         const spriteX = sprite.x - p.x;
         const spriteY = sprite.y - p.y;
-        const invDet = 1.0 / (p.planeX * p.dirY - p.dirX * p.planeY);
-        const transformX = invDet * (p.dirY * spriteX - p.dirX * spriteY);
         const transformY = invDet * (-p.planeY * spriteX + p.planeX * spriteY);
+        if (transformY <= 0) continue;
+
+        const view = spriteViewPool[spriteViews.length] || (spriteViewPool[spriteViews.length] = {});
+        view.entity = sprite;
+        view.offsetX = spriteX;
+        view.offsetY = spriteY;
+        view.transformX = invDet * (p.dirY * spriteX - p.dirX * spriteY);
+        view.depth = transformY;
+        spriteViews.push(view);
+    }
+
+    spriteViews.sort(compareSpriteViewDepth);
+}
+
+/**
+ * Sort comparator putting nearer sprite views first
+ * @param {Object} a - Sprite view
+ * @param {Object} b - Sprite view
+ * @returns {number} Negative if a is nearer than b
+ */
+function compareSpriteViewDepth(a, b) {
+    return a.depth - b.depth;
+}
+
+/**
+ * Render all sprites (enemies, pickups, projectiles, effects) into the framebuffer
+ * Solid sprites are drawn nearest first so the per-pixel depth test skips hidden pixels,
+ * then translucent impacts are blended farthest first on top
+ * @param {Uint32Array} buffer - Framebuffer (see getFrameBuffer)
+ * @param {Player} p - Player the view is rendered from
+ */
+function renderSprites(buffer, p) {
+    spriteDepthBuffer.fill(Infinity);
+    collectSpriteViews(p);
+
+    for (let i = 0; i < spriteViews.length; i++) {
+        const view = spriteViews[i];
+        if (view.entity.type !== 'impact') {
+            renderSpriteView(buffer, view);
+        }
+    }
+
+    for (let i = spriteViews.length - 1; i >= 0; i--) {
+        const view = spriteViews[i];
+        if (view.entity.type === 'impact') {
+            renderSpriteView(buffer, view);
+        }
+    }
+}
+
+/**
+ * Project one sprite to the screen and rasterize it
+ * @param {Uint32Array} buffer - Framebuffer (see getFrameBuffer)
+ * @param {Object} view - Sprite view from collectSpriteViews
+ */
+function renderSpriteView(buffer, view) {
+    const sprite = view.entity;
+    const depth = view.depth;
+    const spriteScreenX = Math.floor((renderWidth / 2) * (1 + view.transformX / depth));
+    const visual = sprite.getVisualProperties();
+
+    const spriteHeight = Math.abs(Math.floor(renderHeight / depth)) * visual.scale;
+    const spriteWidth = spriteHeight * visual.aspectRatio;
+    const drawStartY = -spriteHeight / 2 + renderHeight / 2;
+    const drawEndX = spriteWidth / 2 + spriteScreenX;
+    const drawStartX = drawEndX - spriteWidth;
+
+    // Special rendering for impact effects, fading over their lifetime
+    if (sprite.type === 'impact') {
+        rasterizeImpact(spriteScreenX, drawStartY + spriteHeight / 2, spriteHeight / 2, depth,
+            getPackedColor(visual.color), visual.alpha);
+        return;
+    }
 
-        if (transformY > 0) {
-            const spriteScreenX = Math.floor((screenWidth / 2) * (1 + transformX / transformY));
-            let spriteScale = 1.0, spriteAspectRatio = 1.0, spriteColor;
-
-            // Determine sprite properties based on type
-            if (sprite.type === 'enemy') {
-                spriteScale = ENEMY_TYPES[sprite.subType].scale;
-                spriteAspectRatio = ENEMY_TYPES[sprite.subType].aspectRatio;
-                spriteColor = sprite.isHit > 0 ? '#ffcccc' : ENEMY_TYPES[sprite.subType].color;
-                if (sprite.state === 'dead') spriteColor = '#404040';
-            } else if (sprite.type === 'pickup') {
-                spriteScale = 0.25;
-                if (sprite.subType === 'ammo') spriteColor = '#ffff00';
-                else if (sprite.subType === 'health') spriteColor = '#ff0000';
-                else if (sprite.subType === 'shield') spriteColor = '#0000ff';
-                else if (sprite.subType === 'key') { spriteColor = '#f0e68c'; spriteScale = 0.4; }
-                else if (sprite.subType === 'shotgun') { spriteColor = WEAPON_TYPES.shotgun.pickupColor; spriteScale = 0.35; }
-                else if (sprite.subType === 'machinegun') { spriteColor = WEAPON_TYPES.machinegun.pickupColor; spriteScale = 0.35; }
-            } else if (sprite.type === 'exit') {
-                spriteColor = '#ffffff'; spriteScale = 1.2; spriteAspectRatio = 0.5;
-            } else if (sprite.type === 'projectile') {
-                spriteScale = 0.15;
-                spriteColor = sprite.color;
-            } else if (sprite.type === 'playerBullet') {
-                spriteScale = 0.1;
-                spriteColor = sprite.color;
-            } else if (sprite.type === 'impact') {
-                spriteScale = 0.2 + (20 - sprite.lifetime) * 0.02; // Grows over time
-                const alpha = sprite.lifetime / 20; // Fades over time
-                const r = parseInt(sprite.color.slice(1, 3), 16);
-                const g = parseInt(sprite.color.slice(3, 5), 16);
-                const b = parseInt(sprite.color.slice(5, 7), 16);
-                spriteColor = `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    // Sprites are lit like the floor they stand on, except the ones that glow themselves
+    const shade = visual.emissive ? 1 : getDistanceShade(depth) * gameState.lightMap.sample(sprite.x, sprite.y);
+
+    // Loaded sprite sheets win over the procedural enemy sheets; anything else is a flat rectangle
+    const sheet = assetLoader.getSpriteSheet(sprite) || textures.sprites[sprite.subType];
+    let visible;
+    if (sheet) {
+        visible = rasterizeSpriteFrame(buffer, sheet, getSpriteFrame(sheet, visual, view),
+            drawStartX, drawEndX, drawStartY, drawStartY + spriteHeight, depth, shade);
+    } else {
+        visible = rasterizeRect(buffer, drawStartX, drawEndX, drawStartY, drawStartY + spriteHeight,
+            depth, getShadedColor(visual.color, shade));
+    }
+
+    // Render enemy health bars, sized in canvas pixels
+    if (visible && sprite.type === 'enemy' && visual.state !== 'dead') {
+        const pixelScale = renderHeight / screenHeight;
+        const healthBarWidth = spriteWidth * sprite.getHealth().percentage;
+        const healthBarHeight = Math.max(1, 5 * pixelScale);
+        const healthBarY = drawStartY - 10 * pixelScale;
+        rasterizeRect(buffer, drawStartX, drawEndX, healthBarY, healthBarY + healthBarHeight, depth,
+            getPackedColor('red').packed);
+        rasterizeRect(buffer, drawStartX, drawStartX + healthBarWidth, healthBarY, healthBarY + healthBarHeight, depth,
+            getPackedColor('green').packed);
+    }
+}
+
+/**
+ * Pick the sprite sheet frame for a sprite's animation and the direction it is seen from
+ * @param {Object} sheet - Sprite sheet
+ * @param {Object} visual - Visual properties from getVisualProperties()
+ * @param {Object} view - Sprite view from collectSpriteViews
+ * @returns {number} Frame index, falling back to the first frame if the sheet is too small
+ */
+function getSpriteFrame(sheet, visual, view) {
+    const animation = visual.animation ? ENEMY_ANIMATIONS[visual.animation] : null;
+    if (!animation) return 0;
+
+    let frame = (animation.row + visual.animationFrame) * sheet.directions;
+    if (sheet.directions > 1) {
+        frame += getSpriteDirection(view, visual.facingAngle, sheet.directions);
+    }
+    return frame < sheet.frameCount ? frame : 0;
+}
+
+/**
+ * Get which of a sprite's view directions faces the camera
+ * Direction d is seen from d * (360 / directions) degrees round from the sprite's front
+ * @param {Object} view - Sprite view from collectSpriteViews
+ * @param {number} facingAngle - Angle the sprite faces in map space (radians)
+ * @param {number} directions - Number of view directions
+ * @returns {number} Direction index (0 is the front)
+ */
+function getSpriteDirection(view, facingAngle, directions) {
+    const cameraAngle = Math.atan2(-view.offsetY, -view.offsetX) - facingAngle;
+    const sector = Math.round(cameraAngle / (2 * Math.PI / directions));
+    return ((sector % directions) + directions) % directions;
+}
+
+/**
+ * Fill a screen rectangle with a solid colour wherever it is nearer than the walls
+ * and any sprite already drawn
+ * @param {Uint32Array} buffer - Framebuffer (see getFrameBuffer)
+ * @param {number} startX - Left edge in pixels
+ * @param {number} endX - Right edge in pixels (exclusive)
+ * @param {number} startY - Top edge in pixels
+ * @param {number} endY - Bottom edge in pixels (exclusive)
+ * @param {number} depth - Camera-space depth of the rectangle
+ * @param {number} packedColor - Colour in framebuffer byte order
+ * @returns {boolean} True if any pixel was drawn
+ */
+function rasterizeRect(buffer, startX, endX, startY, endY, depth, packedColor) {
+    const x0 = Math.max(0, Math.floor(startX));
+    const x1 = Math.min(renderWidth, Math.floor(endX));
+    const y0 = Math.max(0, Math.floor(startY));
+    const y1 = Math.min(renderHeight, Math.floor(endY));
+    let drawn = false;
+
+    for (let x = x0; x < x1; x++) {
+        // A wall in front hides the whole column
+        if (depth >= gameState.zBuffer[x]) continue;
+
+        let index = y0 * renderWidth + x;
+        for (let y = y0; y < y1; y++) {
+            if (depth < spriteDepthBuffer[index]) {
+                buffer[index] = packedColor;
+                spriteDepthBuffer[index] = depth;
+                drawn = true;
             }
+            index += renderWidth;
+        }
+    }
+    return drawn;
+}
 
-            const spriteHeight = Math.abs(Math.floor(screenHeight / transformY)) * spriteScale;
-            const spriteWidth = spriteHeight * spriteAspectRatio;
-            const drawStartY = -spriteHeight / 2 + screenHeight / 2;
-            const drawEndX = spriteWidth / 2 + spriteScreenX;
-
-            for (let stripe = Math.floor(drawEndX - spriteWidth); stripe < Math.floor(drawEndX); stripe++) {
-                if (stripe >= 0 && stripe < screenWidth && transformY < gameState.zBuffer[stripe]) {
-                    ctx.fillStyle = spriteColor;
-
-                    // Special rendering for impact effects
-                    if (sprite.type === 'impact') {
-                        renderImpactEffect(sprite, spriteScreenX, drawStartY + spriteHeight / 2, spriteHeight / 2, spriteColor);
-                        break; // Don't draw the regular rectangle for impacts
-                    } else {
-                        ctx.fillRect(stripe, drawStartY, 1, spriteHeight);
-                    }
-
-                    // Render enemy health bars
-                    if (sprite.type === 'enemy' && sprite.state !== 'dead') {
-                        const healthBarWidth = spriteWidth * (sprite.health / ENEMY_TYPES[sprite.subType].health);
-                        ctx.fillStyle = 'red';
-                        ctx.fillRect(drawEndX - spriteWidth, drawStartY - 10, spriteWidth, 5);
-                        ctx.fillStyle = 'green';
-                        ctx.fillRect(drawEndX - spriteWidth, drawStartY - 10, healthBarWidth, 5);
-                    }
+/**
+ * Draw one frame of a sprite sheet scaled to a screen rectangle
+ * Transparent texels are skipped; the rest pass the same depth tests as rasterizeRect.
+ * Fully lit frames copy their texels, darker ones scale each colour channel
+ * @param {Uint32Array} buffer - Framebuffer (see getFrameBuffer)
+ * @param {Object} sheet - Sprite sheet from the asset loader
+ * @param {number} frame - Frame index, row by row across the sheet
+ * @param {number} startX - Left edge in pixels
+ * @param {number} endX - Right edge in pixels (exclusive)
+ * @param {number} startY - Top edge in pixels
+ * @param {number} endY - Bottom edge in pixels (exclusive)
+ * @param {number} depth - Camera-space depth of the sprite
+ * @param {number} shade - Brightness (0-1)
+ * @returns {boolean} True if any pixel was drawn
+ */
+function rasterizeSpriteFrame(buffer, sheet, frame, startX, endX, startY, endY, depth, shade) {
+    const image = sheet.image;
+    const texels = sheet.texels;
+    const pixels = image.data;
+    const bytes = frameImageData.data;
+    const isLit = shade >= 1;
+    const frameX = (frame % sheet.columns) * sheet.frameWidth;
+    const frameY = Math.floor(frame / sheet.columns) * sheet.frameHeight;
+    const texelsPerPixelX = sheet.frameWidth / (endX - startX);
+    const texelsPerPixelY = sheet.frameHeight / (endY - startY);
+
+    const x0 = Math.max(0, Math.floor(startX));
+    const x1 = Math.min(renderWidth, Math.floor(endX));
+    const y0 = Math.max(0, Math.floor(startY));
+    const y1 = Math.min(renderHeight, Math.floor(endY));
+    let drawn = false;
+
+    for (let x = x0; x < x1; x++) {
+        if (depth >= gameState.zBuffer[x]) continue;
+
+        const texX = Math.min(sheet.frameWidth - 1, Math.floor((x + 0.5 - startX) * texelsPerPixelX));
+        const columnIndex = frameY * image.width + frameX + texX;
+        let texPos = (y0 + 0.5 - startY) * texelsPerPixelY;
+        let index = y0 * renderWidth + x;
+
+        for (let y = y0; y < y1; y++) {
+            const texY = Math.min(sheet.frameHeight - 1, Math.floor(texPos));
+            const texelIndex = columnIndex + texY * image.width;
+            texPos += texelsPerPixelY;
+
+            if (pixels[texelIndex * 4 + 3] >= 128 && depth < spriteDepthBuffer[index]) {
+                if (isLit) {
+                    buffer[index] = texels[texelIndex];
+                } else {
+                    const byteIndex = index * 4;
+                    const texelByte = texelIndex * 4;
+                    bytes[byteIndex] = pixels[texelByte] * shade;
+                    bytes[byteIndex + 1] = pixels[texelByte + 1] * shade;
+                    bytes[byteIndex + 2] = pixels[texelByte + 2] * shade;
+                    bytes[byteIndex + 3] = 255;
                 }
+                spriteDepthBuffer[index] = depth;
+                drawn = true;
             }
+            index += renderWidth;
         }
     }
+    return drawn;
 }
 
 /**
- * Render impact effect with burst pattern
+ * Blend an impact burst (a disc with spark lines) into the framebuffer
+ * Impacts are translucent, so they are depth tested but do not write depth
+ * @param {number} centerX - Burst centre X in pixels
+ * @param {number} centerY - Burst centre Y in pixels
+ * @param {number} radius - Disc radius in pixels
+ * @param {number} depth - Camera-space depth of the impact
+ * @param {Object} color - Colour from getPackedColor
+ * @param {number} alpha - Opacity (0-1)
  */
-function renderImpactEffect(sprite, centerX, centerY, radius, spriteColor) {
-    // Draw a burst pattern for impact effects
-    ctx.beginPath();
-    ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
-    ctx.fill();
+function rasterizeImpact(centerX, centerY, radius, depth, color, alpha) {
+    if (alpha <= 0) return;
+
+    const bytes = frameImageData.data;
+    const sparkLength = radius * 1.5;
+    const x0 = Math.max(0, Math.floor(centerX - sparkLength));
+    const x1 = Math.min(renderWidth, Math.ceil(centerX + sparkLength));
+    const y0 = Math.max(0, Math.floor(centerY - sparkLength));
+    const y1 = Math.min(renderHeight, Math.ceil(centerY + sparkLength));
+    const radiusSquared = radius * radius;
+    const sparkLengthSquared = sparkLength * sparkLength;
+    const sparkAngle = 2 * Math.PI / IMPACT_SPARK_COUNT;
+
+    for (let x = x0; x < x1; x++) {
+        if (depth >= gameState.zBuffer[x]) continue;
+
+        const dx = x + 0.5 - centerX;
+        for (let y = y0; y < y1; y++) {
+            const index = y * renderWidth + x;
+            if (depth >= spriteDepthBuffer[index]) continue;
+
+            const dy = y + 0.5 - centerY;
+            const distanceSquared = dx * dx + dy * dy;
+            if (distanceSquared > sparkLengthSquared) continue;
+
+            if (distanceSquared > radiusSquared) {
+                // Outside the disc, only pixels within a pixel of a spark line are drawn
+                const angle = Math.atan2(dy, dx);
+                const nearestSpark = Math.round(angle / sparkAngle) * sparkAngle;
+                if (Math.abs(Math.sin(angle - nearestSpark)) * Math.sqrt(distanceSquared) > 1) continue;
+            }
 
-    // Add some spark lines
-    ctx.strokeStyle = spriteColor;
-    ctx.lineWidth = 2;
-    for (let spark = 0; spark < 6; spark++) {
-        const angle = (spark / 6) * 2 * Math.PI;
-        const sparkLength = radius * 1.5;
-        ctx.beginPath();
-        ctx.moveTo(centerX, centerY);
-        ctx.lineTo(
-            centerX + Math.cos(angle) * sparkLength,
-            centerY + Math.sin(angle) * sparkLength
-        );
-        ctx.stroke();
+            const byteIndex = index * 4;
+            bytes[byteIndex] += (color.r - bytes[byteIndex]) * alpha;
+            bytes[byteIndex + 1] += (color.g - bytes[byteIndex + 1]) * alpha;
+            bytes[byteIndex + 2] += (color.b - bytes[byteIndex + 2]) * alpha;
+        }
     }
 }
 
@@ -282,11 +726,13 @@ function renderMinimap(p) {
     ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
     ctx.fillRect(miniMapX, miniMapY, miniMapSize, miniMapSize);
 
-    // Render map walls (flip Y-axis to match game world orientation)
+    // Render map walls and doors coloured by type (flip Y-axis to match game world orientation)
     for (let y = 0; y < gameState.mapHeight; y++) {
         for (let x = 0; x < gameState.mapWidth; x++) {
-            if (gameState.map[y][x] === 1) {
-                ctx.fillStyle = 'rgba(200, 200, 200, 0.6)';
+            const tile = gameState.map[y][x];
+            if (tile > 0) {
+                const tileType = WALL_TYPES[tile] || DOOR_TYPES[tile];
+                ctx.fillStyle = tileType ? tileType.minimapColor : 'rgba(200, 200, 200, 0.6)';
                 // Flip Y coordinate: use (mapHeight - 1 - y) instead of y
                 const flippedY = gameState.mapHeight - 1 - y;
                 ctx.fillRect(miniMapX + x * tileSize, miniMapY + flippedY * tileSize, tileSize, tileSize);
@@ -295,10 +741,13 @@ function renderMinimap(p) {
     }
 
     // Render sprites on minimap (flip Y-axis to match game world orientation)
-    for (let i = 0; i < gameState.sprites.length; i++) {
-        const sprite = gameState.sprites[i];
+    const sprites = gameState.world.getEntities();
+    for (let i = 0; i < sprites.length; i++) {
+        const sprite = sprites[i];
         let color = null;
-        if (sprite.type === 'enemy' && sprite.state !== 'dead') color = 'red';
+        if (sprite.type === 'enemy' && sprite.state === 'searching') color = 'orange'; // Lost sight of the player
+        else if (sprite.type === 'enemy' && sprite.state === 'investigating') color = 'yellow'; // Heard a noise
+        else if (sprite.type === 'enemy' && sprite.state !== 'dead') color = 'red';
         else if (sprite.type === 'pickup' && sprite.subType === 'key') color = '#f0e68c';
         else if (sprite.type === 'pickup' && (sprite.subType === 'shotgun' || sprite.subType === 'machinegun')) color = '#00ff00';
         else if (sprite.type === 'exit') color = 'white';
@@ -427,12 +876,62 @@ function renderUI() {
     ctx.fillStyle = '#ffff44';
     ctx.fillText(`💰 ${p.score.toLocaleString()}`, rightX, topY + 25 * uiScale);
 
+    ctx.font = `${10 * uiScale}px Arial`;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.fillText(`🌱 Seed ${rng.getSeed()}`, rightX, topY + 45 * uiScale);
+
     // === BOTTOM: Controls ===
     ctx.font = `${10 * uiScale}px Arial`;
     ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
     ctx.textAlign = 'center';
     const controlsY = screenHeight - 8 * uiScale;
-    ctx.fillText('WASD: Move • Mouse: Look • Click: Shoot • R: Reload • 1/2/3: Switch Weapons', centerX, controlsY);
+    const controlsText = touchControls.enabled
+        ? 'Left stick: Move • Swipe right side: Look • 🔥 Shoot • 🔄 Reload • 🔫 Switch Weapon'
+        : 'WASD: Move • Mouse: Look • Click: Shoot • R: Reload • 1/2/3: Switch Weapons';
+    ctx.fillText(controlsText, centerX, controlsY);
+}
+
+/**
+ * Render the touch stick and buttons (see touch.js)
+ */
+function renderTouchControls() {
+    const layout = touchControls.getLayout();
+    const stick = layout.stick;
+
+    // Stick base and knob
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(stick.x, stick.y, stick.radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.beginPath();
+    ctx.arc(
+        stick.x + touchControls.stickX * stick.radius,
+        stick.y + touchControls.stickY * stick.radius,
+        stick.radius * 0.4, 0, Math.PI * 2
+    );
+    ctx.fill();
+
+    // Buttons, highlighted while held
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (const button of layout.buttons) {
+        const held = touchControls.heldActions.has(button.action);
+        ctx.fillStyle = held ? 'rgba(255, 255, 255, 0.35)' : 'rgba(0, 0, 0, 0.4)';
+        ctx.beginPath();
+        ctx.arc(button.x, button.y, button.radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+
+        ctx.fillStyle = 'white';
+        ctx.font = `${button.radius * 0.9}px Arial`;
+        ctx.fillText(button.label, button.x, button.y);
+    }
+    ctx.textBaseline = 'alphabetic';
 }
 
 /**
@@ -455,7 +954,96 @@ function renderLoadingScreen() {
     ctx.fillStyle = 'white';
     ctx.font = `${32 * uiScale}px Courier New`;
     ctx.textAlign = 'center';
-    ctx.fillText('Generating Level...', screenWidth / 2, screenHeight / 2);
+
+    if (!assetLoader.loading) {
+        ctx.fillText('Generating Level...', screenWidth / 2, screenHeight / 2);
+        return;
+    }
+
+    // Asset loading progress bar
+    ctx.fillText('Loading Assets...', screenWidth / 2, screenHeight / 2);
+
+    const barWidth = 240 * uiScale;
+    const barHeight = 10 * uiScale;
+    const barX = (screenWidth - barWidth) / 2;
+    const barY = screenHeight / 2 + 20 * uiScale;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+    ctx.fillRect(barX, barY, barWidth, barHeight);
+    ctx.fillStyle = '#44ff44';
+    ctx.fillRect(barX, barY, barWidth * assetLoader.getProgress(), barHeight);
+
+    ctx.fillStyle = 'white';
+    ctx.font = `${12 * uiScale}px Courier New`;
+    ctx.fillText(`${assetLoader.loaded} / ${assetLoader.total}`, screenWidth / 2, barY + barHeight + 16 * uiScale);
+}
+
+/**
+ * Render a full-screen overlay with a title and lines of text
+ * @param {string} title - Large title text
+ * @param {string} titleColor - Title colour
+ * @param {string[]} lines - Lines of text below the title
+ * @param {number} backgroundAlpha - Opacity of the dark background (0-1)
+ */
+function renderScreenOverlay(title, titleColor, lines, backgroundAlpha = 0.7) {
+    ctx.fillStyle = `rgba(0, 0, 0, ${backgroundAlpha})`;
+    ctx.fillRect(0, 0, screenWidth, screenHeight);
+
+    const centerX = screenWidth / 2;
+    const lineHeight = 22 * uiScale;
+    let y = screenHeight / 2 - (lines.length * lineHeight) / 2;
+
+    ctx.textAlign = 'center';
+    ctx.fillStyle = titleColor;
+    ctx.font = `${32 * uiScale}px Courier New`;
+    ctx.fillText(title, centerX, y);
+
+    ctx.fillStyle = 'white';
+    ctx.font = `${14 * uiScale}px Courier New`;
+    y += 40 * uiScale;
+    for (const line of lines) {
+        ctx.fillText(line, centerX, y);
+        y += lineHeight;
+    }
+}
+
+/**
+ * Render pause screen
+ */
+function renderPauseScreen() {
+    renderScreenOverlay('PAUSED', 'white', [
+        'Click or press Enter to resume',
+        'F2: Controls • F6/F7/F8: Save'
+    ]);
+}
+
+/**
+ * Render the screen shown between levels
+ * @param {number|null} completedLevel - Level just completed, or null when a new run starts
+ * @param {number} nextLevel - Level being generated
+ * @param {number} score - Player score
+ */
+function renderLevelTransitionScreen(completedLevel, nextLevel, score) {
+    const title = completedLevel ? `LEVEL ${completedLevel} COMPLETE` : 'GET READY';
+    const lines = completedLevel ? [`💰 ${score.toLocaleString()}`, ''] : [];
+    lines.push(isLoading ? `Generating level ${nextLevel}...` : `Entering level ${nextLevel}`);
+
+    renderScreenOverlay(title, '#44ff44', lines, 1);
+}
+
+/**
+ * Render game over screen
+ * @param {number} score - Final score
+ * @param {number} level - Level the run ended on
+ * @param {Object} stats - Run statistics (see GameStats.getSnapshot)
+ */
+function renderGameOverScreen(score, level, stats) {
+    renderScreenOverlay('GAME OVER', '#ff4444', [
+        `💰 Final score ${score.toLocaleString()}`,
+        `🏆 Reached level ${level}`,
+        `💀 ${stats.kills} kills • 🔫 ${stats.shotsFired} shots fired`,
+        '',
+        'Click or press Enter to play again'
+    ], 0.8);
 }
 
 /**
@@ -463,8 +1051,7 @@ function renderLoadingScreen() {
  */
 function renderNotifications() {
     if (notification.timer > 0) {
-        notification.timer--;
-        const alpha = Math.min(1, notification.timer / 30);
+        const alpha = Math.min(1, notification.timer / 0.5); // Fade out over the last half second
         ctx.fillStyle = `rgba(0, 0, 0, ${0.8 * alpha})`;
         const notifWidth = 400 * uiScale;
         const notifHeight = 60 * uiScale;
@@ -488,4 +1075,8 @@ window.renderFrame = renderFrame;
 window.renderRaycasting = renderRaycasting;
 window.renderSprites = renderSprites;
 window.renderUI = renderUI;
+window.renderTouchControls = renderTouchControls;
+window.renderPauseScreen = renderPauseScreen;
+window.renderLevelTransitionScreen = renderLevelTransitionScreen;
+window.renderGameOverScreen = renderGameOverScreen;
 window.renderEffects = renderNotifications; // Alias for effects (notifications)
\ No newline at end of file
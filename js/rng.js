@@ -0,0 +1,145 @@
+// --- Seeded Random Number Generation ---
+
+/**
+ * Hash a seed of any type into a 32-bit unsigned integer
+ * @param {string|number} seed - Seed value
+ * @returns {number} 32-bit hash of the seed
+ */
+function hashSeed(seed) {
+    const text = String(seed);
+    let hash = 1779033703 ^ text.length;
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 3432918353);
+        hash = (hash << 13) | (hash >>> 19);
+    }
+    hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+    hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+    return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+/**
+ * SeededRandom - Deterministic pseudo-random number generator (mulberry32)
+ * The same seed always produces the same sequence of numbers
+ */
+class SeededRandom {
+    /**
+     * Create a new SeededRandom
+     * @param {string|number} seed - Seed value
+     */
+    constructor(seed) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Reset the generator to the start of the sequence for a seed
+     * @param {string|number} seed - Seed value
+     */
+    setSeed(seed) {
+        this.seed = String(seed);
+        this.state = hashSeed(this.seed);
+    }
+
+    /**
+     * Get the seed this generator was created with
+     * @returns {string} Seed value
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Get the next number in the sequence
+     * @returns {number} Float in [0, 1), drop-in replacement for Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a float in a range
+     * @param {number} min - Inclusive lower bound
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Get an integer below a bound
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} Integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Pick a random element of an array
+     * @param {Array} array - Array to pick from
+     * @returns {*} Random element, or undefined if the array is empty
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates)
+     * @param {Array} array - Array to shuffle
+     * @returns {Array} The same array, shuffled
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.int(i + 1);
+            const temp = array[i];
+            array[i] = array[j];
+            array[j] = temp;
+        }
+        return array;
+    }
+
+    /**
+     * Create an independent generator derived from this generator's seed
+     * Derived streams let each system (level layout, textures, ...) stay reproducible
+     * no matter how many numbers the others have consumed
+     * @param {...(string|number)} keys - Keys identifying the derived stream
+     * @returns {SeededRandom} New generator
+     */
+    derive(...keys) {
+        return new SeededRandom(`${this.seed}:${keys.join(':')}`);
+    }
+}
+
+/**
+ * Create a fresh run seed
+ * @returns {string} Random seed value
+ */
+function createRandomSeed() {
+    // Math.random is only used to pick a new seed, never for gameplay
+    return String(Math.floor(Math.random() * 0xFFFFFFFF));
+}
+
+// Global run RNG instance - every gameplay system draws from this or a stream derived from it
+const rng = new SeededRandom(createRandomSeed());
+
+/**
+ * Set the seed for the current run
+ * @param {string|number} seed - Seed value
+ */
+function setRunSeed(seed) {
+    rng.setSeed(seed);
+}
+
+// --- Exports ---
+if (typeof window !== 'undefined') {
+    window.SeededRandom = SeededRandom;
+    window.rng = rng;
+    window.createRandomSeed = createRandomSeed;
+    window.setRunSeed = setRunSeed;
+} else if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SeededRandom, rng, createRandomSeed, setRunSeed, hashSeed };
+}
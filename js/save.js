@@ -0,0 +1,301 @@
+// --- Save System ---
+
+// Bump SAVE_VERSION whenever the saved fields change, and register a
+// migration from the previous version so older saves keep loading
+const SAVE_VERSION = 3;
+const SAVE_KEY_PREFIX = 'raycaster.save.';
+const SAVE_SLOTS = ['auto', '1', '2', '3'];
+
+/**
+ * Migrations that upgrade a save from one version to the next, keyed by the version
+ * they upgrade from. Example for a renamed enemy field in version 2:
+ *
+ *     registerSaveMigration(1, (save) => {
+ *         save.entities.forEach(e => { if (e.type === 'enemy') e.cooldown = e.attackTimer; });
+ *         return save;
+ *     });
+ */
+const SAVE_MIGRATIONS = {};
+
+/**
+ * Register a migration from one save version to the next
+ * @param {number} fromVersion - Version the migration upgrades from
+ * @param {Function} migrate - Receives the save data and returns the upgraded data
+ */
+function registerSaveMigration(fromVersion, migrate) {
+    SAVE_MIGRATIONS[fromVersion] = migrate;
+}
+
+/**
+ * Upgrade save data to the current SAVE_VERSION
+ * @param {Object} save - Parsed save data
+ * @returns {Object} Save data in the current format
+ * @throws {Error} If the save is from a newer version or a migration is missing
+ */
+function migrateSave(save) {
+    if (save.version > SAVE_VERSION) {
+        throw new Error(`Save version ${save.version} is newer than supported version ${SAVE_VERSION}`);
+    }
+
+    while (save.version < SAVE_VERSION) {
+        const migrate = SAVE_MIGRATIONS[save.version];
+        if (!migrate) {
+            throw new Error(`No save migration from version ${save.version}`);
+        }
+        const fromVersion = save.version;
+        save = migrate(save);
+        save.version = fromVersion + 1;
+    }
+    return save;
+}
+
+// Version 2 added doors; older maps have no door tiles, so there is no door state to restore
+registerSaveMigration(1, (save) => {
+    save.doors = [];
+    return save;
+});
+
+// Version 3 added torches and lamps; place them the way buildLevel does for the saved level
+registerSaveMigration(2, (save) => {
+    const levelRng = new SeededRandom(save.seed).derive('level', save.currentLevel);
+    for (const light of placeLights(save.map, levelRng.derive('lights'))) {
+        save.entities.push({ type: 'light', subType: light.type, x: light.x, y: light.y, health: 100, maxHealth: 100 });
+    }
+    return save;
+});
+
+// Entity types restored from saves. Projectiles and impacts are short-lived and not saved
+const SAVED_ENTITY_FACTORIES = {
+    'enemy': (data) => createEnemy(data.x, data.y, data.subType),
+    'pickup': (data) => new Pickup(data.x, data.y, data.subType),
+    'exit': (data) => new ExitDoor(data.x, data.y),
+    'light': (data) => new LightSource(data.x, data.y, data.subType)
+};
+
+/**
+ * Serialize the current run into versioned save data
+ * @returns {Object} Plain-data save
+ */
+function serializeGameState() {
+    return {
+        version: SAVE_VERSION,
+        savedAt: Date.now(),
+        seed: rng.getSeed(),
+        currentLevel: gameState.currentLevel,
+        mapWidth: gameState.mapWidth,
+        mapHeight: gameState.mapHeight,
+        map: gameState.map.map(row => row.slice()),
+        doors: gameState.doors.serialize(),
+        player: gameState.player.serialize(),
+        weapons: weaponManager.serialize(),
+        stats: gameStats.getSnapshot(),
+        entities: gameState.world.getEntities()
+            .filter(entity => SAVED_ENTITY_FACTORIES[entity.type])
+            .map(entity => entity.serialize())
+    };
+}
+
+/**
+ * Replace the current run with the one stored in save data
+ * @param {Object} save - Save data in the current format (see migrateSave)
+ */
+function restoreGameState(save) {
+    setRunSeed(save.seed);
+
+    gameState.currentLevel = save.currentLevel;
+    gameState.mapWidth = save.mapWidth;
+    gameState.mapHeight = save.mapHeight;
+    gameState.map = save.map.map(row => row.slice());
+    gameState.doors.reset(gameState.map, DOOR_TYPES);
+    gameState.doors.restore(save.doors);
+    gameState.pathfinder.reset(gameState.mapWidth, gameState.mapHeight, isWalkableTile);
+    gameState.hearing.reset(gameState.mapWidth, gameState.mapHeight, isSolidTile);
+    gameState.isGameOver = false;
+    gameState.world.clear();
+
+    gameState.player = new Player(0, 0);
+    gameState.player.restore(save.player);
+    gameState.world.setPlayer(gameState.player);
+
+    for (const data of save.entities) {
+        const factory = SAVED_ENTITY_FACTORIES[data.type];
+        if (!factory) {
+            console.warn(`Save: Skipping entity of unknown type '${data.type}'`);
+            continue;
+        }
+        const entity = factory(data);
+        entity.restore(data);
+        gameState.world.add(entity);
+    }
+
+    weaponManager.restore(save.weapons);
+    gameStats.restore(save.stats);
+    const levelRng = rng.derive('level', save.currentLevel);
+    assignPatrolRoutes(levelRng.derive('patrols'));
+    assignWanderStreams(levelRng.derive('wander'));
+    resetLighting();
+}
+
+/**
+ * Get the browser's localStorage if it is available
+ * @returns {Storage|null} Storage, or null (private mode, Node.js)
+ */
+function getDefaultStorage() {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * SaveManager - Reads and writes save slots in a Storage (localStorage by default)
+ */
+class SaveManager {
+    /**
+     * Create a new SaveManager
+     * @param {Storage|null} storage - Storage with getItem/setItem/removeItem
+     */
+    constructor(storage = getDefaultStorage()) {
+        this.storage = storage;
+    }
+
+    /**
+     * Get the storage key for a slot
+     * @param {string} slot - Slot name
+     * @returns {string} Storage key
+     */
+    getKey(slot) {
+        return SAVE_KEY_PREFIX + slot;
+    }
+
+    /**
+     * Save the current run to a slot
+     * @param {string} slot - Slot name (see SAVE_SLOTS)
+     * @returns {boolean} True if the save was written
+     */
+    save(slot) {
+        if (!this.storage) return false;
+
+        try {
+            this.storage.setItem(this.getKey(slot), JSON.stringify(serializeGameState()));
+            return true;
+        } catch (e) {
+            console.warn(`Save: Could not write slot '${slot}':`, e);
+            return false;
+        }
+    }
+
+    /**
+     * Read and migrate the save in a slot
+     * @param {string} slot - Slot name
+     * @returns {Object|null} Save data in the current format, or null if empty or unreadable
+     */
+    read(slot) {
+        if (!this.storage) return null;
+
+        try {
+            const json = this.storage.getItem(this.getKey(slot));
+            return json ? migrateSave(JSON.parse(json)) : null;
+        } catch (e) {
+            console.warn(`Save: Could not read slot '${slot}':`, e);
+            return null;
+        }
+    }
+
+    /**
+     * Load the save in a slot into the running game
+     * @param {string} slot - Slot name
+     * @returns {boolean} True if a save was loaded
+     */
+    load(slot) {
+        const save = this.read(slot);
+        if (!save) return false;
+
+        restoreGameState(save);
+        return true;
+    }
+
+    /**
+     * Delete the save in a slot
+     * @param {string} slot - Slot name
+     */
+    delete(slot) {
+        if (this.storage) {
+            this.storage.removeItem(this.getKey(slot));
+        }
+    }
+
+    /**
+     * Summarize every slot that holds a readable save
+     * @returns {Object[]} Slot summaries {slot, level, score, savedAt}, newest first
+     */
+    list() {
+        const summaries = [];
+        for (const slot of SAVE_SLOTS) {
+            const save = this.read(slot);
+            if (save) {
+                summaries.push({
+                    slot: slot,
+                    level: save.currentLevel,
+                    score: save.player.score,
+                    savedAt: save.savedAt
+                });
+            }
+        }
+        return summaries.sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    /**
+     * Get the most recently written slot, used by "Continue"
+     * @returns {string|null} Slot name or null if there are no saves
+     */
+    getLatestSlot() {
+        const summaries = this.list();
+        return summaries.length > 0 ? summaries[0].slot : null;
+    }
+}
+
+// Global save manager instance
+const saveManager = new SaveManager();
+
+/**
+ * Save the current run to a slot and report the result on the HUD
+ * @param {string} slot - Slot name
+ */
+function saveGame(slot) {
+    if (gameState.isGameOver || isLoading) return;
+
+    if (saveManager.save(slot)) {
+        showNotification(`Game saved to slot ${slot}`);
+    } else {
+        showNotification('Save failed');
+    }
+}
+
+// --- Event Subscriptions ---
+
+// Autosave whenever the run advances to a new level
+eventBus.on('levelStarted', (event) => {
+    if (event.level > 1) {
+        saveManager.save('auto');
+    }
+});
+
+// --- Exports ---
+if (typeof window !== 'undefined') {
+    window.SAVE_VERSION = SAVE_VERSION;
+    window.SAVE_SLOTS = SAVE_SLOTS;
+    window.SaveManager = SaveManager;
+    window.saveManager = saveManager;
+    window.registerSaveMigration = registerSaveMigration;
+    window.migrateSave = migrateSave;
+    window.serializeGameState = serializeGameState;
+    window.restoreGameState = restoreGameState;
+    window.saveGame = saveGame;
+} else if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        SAVE_VERSION, SAVE_SLOTS, SaveManager, saveManager, registerSaveMigration, migrateSave,
+        serializeGameState, restoreGameState, saveGame
+    };
+}
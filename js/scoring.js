@@ -0,0 +1,36 @@
+// --- Scoring ---
+
+/**
+ * Get the player to credit for an event
+ * @param {Object} candidate - Entity named by the event (killer, collector)
+ * @returns {Player|null} Player to credit, falling back to the current player
+ */
+function getScoringPlayer(candidate) {
+    if (candidate && candidate.type === 'player') return candidate;
+    return window.gameState ? window.gameState.player : null;
+}
+
+/**
+ * Award points for kills and pickups
+ * @param {EventBus} bus - Event bus to subscribe to
+ */
+function registerScoring(bus) {
+    bus.on('enemyKilled', (event) => {
+        const player = getScoringPlayer(event.killer);
+        if (player) player.addScore(event.score);
+    });
+
+    bus.on('pickupCollected', (event) => {
+        const player = getScoringPlayer(event.player);
+        if (player) player.addScore(event.score);
+    });
+}
+
+registerScoring(eventBus);
+
+// --- Exports ---
+if (typeof window !== 'undefined') {
+    window.registerScoring = registerScoring;
+} else if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { registerScoring };
+}
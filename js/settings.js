@@ -0,0 +1,260 @@
+// --- Controls Settings Screen ---
+
+let settingsOverlay = null;
+
+// Removes the listener waiting for a new binding, if one is active
+let cancelBindingCapture = null;
+
+/**
+ * Check whether the controls settings screen is open
+ * @returns {boolean} True if the screen is showing
+ */
+function isControlsSettingsOpen() {
+    return settingsOverlay !== null;
+}
+
+/**
+ * Open the controls settings screen
+ */
+function openControlsSettings() {
+    if (settingsOverlay) return;
+
+    // Free the mouse so the screen can be clicked
+    if (document.pointerLockElement) document.exitPointerLock();
+
+    settingsOverlay = document.createElement('div');
+    settingsOverlay.style.cssText = `
+        position: absolute;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        background: rgba(0,0,0,0.9);
+        color: white;
+        padding: 20px;
+        border-radius: 10px;
+        text-align: center;
+        z-index: 1001;
+        font-family: 'Courier New', monospace;
+    `;
+    document.body.appendChild(settingsOverlay);
+    renderControlsSettings();
+}
+
+/**
+ * Close the controls settings screen
+ */
+function closeControlsSettings() {
+    if (!settingsOverlay) return;
+
+    if (cancelBindingCapture) cancelBindingCapture();
+    settingsOverlay.remove();
+    settingsOverlay = null;
+}
+
+/**
+ * Open or close the controls settings screen
+ */
+function toggleControlsSettings() {
+    if (settingsOverlay) closeControlsSettings();
+    else openControlsSettings();
+}
+
+/**
+ * Create a settings screen button
+ * @param {string} label - Button text
+ * @param {Function} onClick - Click handler
+ * @returns {HTMLButtonElement} Button element
+ */
+function createSettingsButton(label, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.style.cssText = 'font-family: inherit; min-width: 120px; margin: 2px;';
+    button.addEventListener('click', (e) => {
+        e.stopPropagation();
+        onClick(button);
+    });
+    return button;
+}
+
+/**
+ * Create a labelled slider for a gamepad setting
+ * @param {string} label - Setting label
+ * @param {string} name - GamepadInput setting name
+ * @param {number} min - Minimum value
+ * @param {number} max - Maximum value
+ * @param {number} step - Slider step
+ * @returns {HTMLLabelElement} Label containing the slider and its value
+ */
+function createSettingsSlider(label, name, min, max, step) {
+    const container = document.createElement('label');
+    container.style.cssText = 'display: block; margin: 4px 0;';
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = min;
+    slider.max = max;
+    slider.step = step;
+    slider.value = gamepadInput.settings[name];
+
+    const value = document.createElement('span');
+    value.textContent = Number(slider.value).toFixed(2);
+
+    slider.addEventListener('input', () => {
+        gamepadInput.setSetting(name, Number(slider.value));
+        value.textContent = Number(slider.value).toFixed(2);
+    });
+
+    container.append(`${label} `, slider, ' ', value);
+    return container;
+}
+
+/**
+ * Create a labelled checkbox
+ * @param {string} label - Setting label
+ * @param {boolean} checked - Initial state
+ * @param {Function} onChange - Called with the new state
+ * @returns {HTMLLabelElement} Label containing the checkbox
+ */
+function createSettingsCheckbox(label, checked, onChange) {
+    const container = document.createElement('label');
+    container.style.cssText = 'display: block; margin: 4px 0;';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = checked;
+    checkbox.addEventListener('change', () => onChange(checkbox.checked));
+
+    container.append(checkbox, ` ${label}`);
+    return container;
+}
+
+/**
+ * Create the render resolution selector
+ * @returns {HTMLLabelElement} Label containing the select element
+ */
+function createRenderScaleSelect() {
+    const container = document.createElement('label');
+    container.style.cssText = 'display: block; margin: 4px 0;';
+
+    const select = document.createElement('select');
+    select.style.cssText = 'font-family: inherit;';
+    for (const key in RENDER_SCALE_OPTIONS) {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = RENDER_SCALE_OPTIONS[key].label;
+        select.appendChild(option);
+    }
+    select.value = renderResolution.settings.renderScale;
+    select.addEventListener('change', () => renderResolution.setSetting('renderScale', select.value));
+
+    container.append('Render resolution ', select);
+    return container;
+}
+
+/**
+ * Rebuild the settings screen from the current bindings
+ */
+function renderControlsSettings() {
+    if (!settingsOverlay) return;
+
+    settingsOverlay.innerHTML = '<b>Controls</b><br><small>Click a binding, then press a key or mouse button. ' +
+        'Esc cancels, Backspace clears.</small><br><br>';
+
+    const table = document.createElement('table');
+    table.style.cssText = 'margin: 0 auto; text-align: left;';
+
+    for (const action in INPUT_ACTIONS) {
+        const row = table.insertRow();
+        row.insertCell().textContent = INPUT_ACTIONS[action];
+
+        const bindings = inputManager.getBindings(action);
+        for (let index = 0; index < MAX_BINDINGS_PER_ACTION; index++) {
+            const label = formatInputCode(bindings[index]);
+            row.insertCell().appendChild(createSettingsButton(label, (button) => {
+                captureBinding(action, index, button);
+            }));
+        }
+    }
+    settingsOverlay.appendChild(table);
+    settingsOverlay.appendChild(document.createElement('br'));
+
+    // Gamepad: left stick moves, right stick turns, triggers fire, bumpers cycle weapons
+    const gamepadSection = document.createElement('div');
+    gamepadSection.innerHTML = '<b>Gamepad</b><br>';
+    gamepadSection.appendChild(createSettingsSlider('Stick deadzone', 'deadzone', 0, 0.5, 0.05));
+    gamepadSection.appendChild(createSettingsSlider('Look sensitivity', 'lookSensitivity', 0.25, 3, 0.25));
+    settingsOverlay.appendChild(gamepadSection);
+    settingsOverlay.appendChild(document.createElement('br'));
+
+    // Display: resolution of the 3D view (the HUD always uses the full canvas resolution)
+    const displaySection = document.createElement('div');
+    displaySection.innerHTML = '<b>Display</b><br>';
+    displaySection.appendChild(createRenderScaleSelect());
+    displaySection.appendChild(createSettingsCheckbox('Dynamic resolution', renderResolution.settings.dynamicResolution,
+        (checked) => renderResolution.setSetting('dynamicResolution', checked)));
+    settingsOverlay.appendChild(displaySection);
+    settingsOverlay.appendChild(document.createElement('br'));
+
+    settingsOverlay.appendChild(createSettingsButton('Reset to defaults', () => {
+        inputManager.resetBindings();
+        renderControlsSettings();
+    }));
+    settingsOverlay.appendChild(createSettingsButton('Close', closeControlsSettings));
+}
+
+/**
+ * Wait for the next key or mouse button and bind it to an action
+ * Mouse buttons are taken from presses on the capturing button or outside the settings screen;
+ * a press on anything else in the screen cancels the capture and goes through as a normal click
+ * @param {string} action - Action name
+ * @param {number} index - Binding index
+ * @param {HTMLButtonElement} button - Button showing the binding
+ */
+function captureBinding(action, index, button) {
+    if (cancelBindingCapture) cancelBindingCapture();
+
+    button.textContent = 'Press a key or click here...';
+
+    // Capture phase on window runs before the gameplay key handlers in setup.js
+    const onKeyDown = (e) => {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        finish();
+
+        if (e.code === 'Backspace' || e.code === 'Delete') {
+            inputManager.clearBinding(action, index);
+        } else if (e.code !== 'Escape') {
+            inputManager.setBinding(action, index, e.code);
+        }
+        renderControlsSettings();
+    };
+    const onMouseDown = (e) => {
+        // Close, Reset and the other binding buttons keep working instead of being bound
+        if (e.target !== button && settingsOverlay && settingsOverlay.contains(e.target)) {
+            finish();
+            button.textContent = formatInputCode(inputManager.getBindings(action)[index]);
+            return;
+        }
+
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        finish();
+        inputManager.setBinding(action, index, `Mouse${e.button}`);
+        renderControlsSettings();
+    };
+    const finish = () => {
+        window.removeEventListener('keydown', onKeyDown, true);
+        window.removeEventListener('mousedown', onMouseDown, true);
+        cancelBindingCapture = null;
+    };
+
+    window.addEventListener('keydown', onKeyDown, true);
+    window.addEventListener('mousedown', onMouseDown, true);
+    cancelBindingCapture = finish;
+}
+
+// --- Exports ---
+window.isControlsSettingsOpen = isControlsSettingsOpen;
+window.openControlsSettings = openControlsSettings;
+window.closeControlsSettings = closeControlsSettings;
+window.toggleControlsSettings = toggleControlsSettings;
@@ -12,6 +12,11 @@ window.screenWidth = screenWidth;
 window.screenHeight = screenHeight;
 window.uiScale = uiScale;
 
+// Internal resolution the 3D view is rendered at before it is scaled to the canvas (see renderScale.js)
+let renderWidth, renderHeight;
+window.renderWidth = renderWidth;
+window.renderHeight = renderHeight;
+
 // Texture constants and storage (global for access by other modules)
 const textureWidth = 64;
 const textureHeight = 64;
@@ -20,19 +25,74 @@ window.textureWidth = textureWidth;
 window.textureHeight = textureHeight;
 window.textures = textures;
 
-// Key tracking for input (global for access by other modules)
+// Wall texture generators by wall type name (see WALL_TYPES in game.js)
+const WALL_TEXTURE_GENERATORS = {
+    brick: generateBrickTexture,
+    stone: generateStoneTexture,
+    metal: generateMetalTexture,
+    wood: generateWoodTexture,
+    tech: generateTechTexture
+};
+
+// Frame size of the procedural enemy sprite sheets, matching the enemies' 0.8 aspect ratio
+const ENEMY_SPRITE_FRAME_WIDTH = 32;
+const ENEMY_SPRITE_FRAME_HEIGHT = 40;
+
+// Input state tracking (global for access by other modules)
+// Keyboard keys use KeyboardEvent.code, mouse buttons 'Mouse0'-'Mouse2'.
+// Gameplay reads it through input actions (see input.js)
 const keys = {};
 window.keys = keys;
 
+// Keys that save the run to a slot
+const SAVE_HOTKEYS = { 'F6': '1', 'F7': '2', 'F8': '3' };
+
+// Key that opens the controls settings screen
+const SETTINGS_HOTKEY = 'F2';
+
+// Key that toggles fullscreen
+const FULLSCREEN_HOTKEY = 'F4';
+
+// Share of the viewport the canvas fills outside fullscreen
+const WINDOWED_VIEWPORT_FILL = 0.9;
+
+/**
+ * Check whether the page is in fullscreen
+ * @returns {boolean} True while fullscreen
+ */
+function isFullscreen() {
+    return !!(document.fullscreenElement || document.webkitFullscreenElement);
+}
+
+/**
+ * Enter or leave fullscreen (the resize handler then resizes the canvas)
+ */
+function toggleFullscreen() {
+    if (isFullscreen()) {
+        if (document.exitFullscreen) document.exitFullscreen();
+        else if (document.webkitExitFullscreen) document.webkitExitFullscreen();
+        return;
+    }
+
+    const element = document.body;
+    if (element.requestFullscreen) {
+        element.requestFullscreen().catch((e) => console.warn('Could not enter fullscreen:', e));
+    } else if (element.webkitRequestFullscreen) {
+        element.webkitRequestFullscreen();
+    }
+}
+
 /**
  * Initialize canvas dimensions and scaling
+ * Safe to call again at any time: the level and game state are left untouched
  */
 function initializeCanvas() {
-    // Calculate canvas size to fill 90% of viewport
+    // Calculate canvas size to fill the viewport (all of it in fullscreen)
+    const viewportFill = isFullscreen() ? 1 : WINDOWED_VIEWPORT_FILL;
     const viewportWidth = window.innerWidth;
     const viewportHeight = window.innerHeight;
-    const targetWidth = Math.floor(viewportWidth * 0.9);
-    const targetHeight = Math.floor(viewportHeight * 0.9);
+    const targetWidth = Math.floor(viewportWidth * viewportFill);
+    const targetHeight = Math.floor(viewportHeight * viewportFill);
 
     // Maintain 16:10 aspect ratio (like original 640x400)
     const aspectRatio = 16 / 10;
@@ -60,6 +120,9 @@ function initializeCanvas() {
     window.screenWidth = screenWidth;
     window.screenHeight = screenHeight;
     window.uiScale = uiScale;
+
+    // Size the 3D view and its depth buffer for the new canvas
+    renderResolution.apply();
 }
 
 /**
@@ -95,10 +158,214 @@ function generateBrickTexture() {
     return textureCtx.getImageData(0, 0, textureWidth, textureHeight);
 }
 
+/**
+ * Generate rough stone block texture for walls
+ * @param {SeededRandom} random - Random stream for texture details
+ */
+function generateStoneTexture(random) {
+    const textureCanvas = document.createElement('canvas');
+    const textureCtx = textureCanvas.getContext('2d');
+    textureCanvas.width = textureWidth;
+    textureCanvas.height = textureHeight;
+
+    // Mortar
+    textureCtx.fillStyle = '#3a3a3a';
+    textureCtx.fillRect(0, 0, textureWidth, textureHeight);
+
+    // Large blocks in two staggered rows, each a slightly different grey
+    for (let y = 0; y < textureHeight; y += 32) {
+        const offset = (y / 32) % 2 === 0 ? 0 : 16;
+        for (let x = -offset; x < textureWidth; x += 32) {
+            const grey = 110 + Math.floor(random.next() * 40);
+            textureCtx.fillStyle = `rgb(${grey}, ${grey}, ${grey - 5})`;
+            textureCtx.fillRect(x + 1, y + 1, 30, 30);
+        }
+    }
+
+    // Speckles
+    for (let i = 0; i < 600; i++) {
+        const x = random.next() * textureWidth;
+        const y = random.next() * textureHeight;
+        textureCtx.fillStyle = random.next() > 0.5 ? 'rgba(255,255,255,0.08)' : 'rgba(0,0,0,0.1)';
+        textureCtx.fillRect(x, y, 1, 1);
+    }
+
+    return textureCtx.getImageData(0, 0, textureWidth, textureHeight);
+}
+
+/**
+ * Generate riveted metal plate texture for walls
+ */
+function generateMetalTexture() {
+    const textureCanvas = document.createElement('canvas');
+    const textureCtx = textureCanvas.getContext('2d');
+    textureCanvas.width = textureWidth;
+    textureCanvas.height = textureHeight;
+
+    // Brushed steel base
+    const gradient = textureCtx.createLinearGradient(0, 0, textureWidth, textureHeight);
+    gradient.addColorStop(0, '#8a949e');
+    gradient.addColorStop(1, '#5e6770');
+    textureCtx.fillStyle = gradient;
+    textureCtx.fillRect(0, 0, textureWidth, textureHeight);
+
+    // Plate seams
+    textureCtx.strokeStyle = '#3c4248';
+    textureCtx.lineWidth = 2;
+    textureCtx.strokeRect(1, 1, textureWidth - 2, textureHeight / 2 - 2);
+    textureCtx.strokeRect(1, textureHeight / 2 + 1, textureWidth - 2, textureHeight / 2 - 2);
+
+    // Rivets in the plate corners
+    textureCtx.fillStyle = '#c8d0d8';
+    for (const y of [5, textureHeight / 2 - 6, textureHeight / 2 + 5, textureHeight - 6]) {
+        for (const x of [5, textureWidth - 6]) {
+            textureCtx.fillRect(x, y, 2, 2);
+        }
+    }
+
+    return textureCtx.getImageData(0, 0, textureWidth, textureHeight);
+}
+
+/**
+ * Generate wooden plank texture for walls
+ * @param {SeededRandom} random - Random stream for texture details
+ */
+function generateWoodTexture(random) {
+    const textureCanvas = document.createElement('canvas');
+    const textureCtx = textureCanvas.getContext('2d');
+    textureCanvas.width = textureWidth;
+    textureCanvas.height = textureHeight;
+
+    // Vertical planks, each a slightly different shade
+    const plankWidth = 16;
+    for (let x = 0; x < textureWidth; x += plankWidth) {
+        const tone = Math.floor(random.next() * 25);
+        textureCtx.fillStyle = `rgb(${120 + tone}, ${80 + tone}, ${40 + tone / 2})`;
+        textureCtx.fillRect(x, 0, plankWidth, textureHeight);
+
+        // Gaps between planks
+        textureCtx.fillStyle = '#3b2410';
+        textureCtx.fillRect(x, 0, 1, textureHeight);
+    }
+
+    // Grain
+    textureCtx.strokeStyle = 'rgba(60, 35, 15, 0.35)';
+    textureCtx.lineWidth = 1;
+    textureCtx.beginPath();
+    for (let i = 0; i < 30; i++) {
+        const x = random.next() * textureWidth;
+        const y = random.next() * textureHeight;
+        textureCtx.moveTo(x, y);
+        textureCtx.lineTo(x + (random.next() - 0.5) * 2, y + 6 + random.next() * 12);
+    }
+    textureCtx.stroke();
+
+    return textureCtx.getImageData(0, 0, textureWidth, textureHeight);
+}
+
+/**
+ * Generate sci-fi tech panel texture for walls
+ * @param {SeededRandom} random - Random stream for texture details
+ */
+function generateTechTexture(random) {
+    const textureCanvas = document.createElement('canvas');
+    const textureCtx = textureCanvas.getContext('2d');
+    textureCanvas.width = textureWidth;
+    textureCanvas.height = textureHeight;
+
+    // Dark panel base with a lighter frame
+    textureCtx.fillStyle = '#1e2a30';
+    textureCtx.fillRect(0, 0, textureWidth, textureHeight);
+    textureCtx.strokeStyle = '#4a5a62';
+    textureCtx.lineWidth = 2;
+    textureCtx.strokeRect(3, 3, textureWidth - 6, textureHeight - 6);
+
+    // Vent slots
+    textureCtx.fillStyle = '#0c1216';
+    for (let y = 10; y < 26; y += 4) {
+        textureCtx.fillRect(10, y, textureWidth - 20, 2);
+    }
+
+    // Indicator lights
+    for (let i = 0; i < 4; i++) {
+        textureCtx.fillStyle = random.next() > 0.5 ? '#40e0d0' : '#ff5050';
+        textureCtx.fillRect(12 + i * 12, textureHeight - 18, 6, 4);
+    }
+
+    return textureCtx.getImageData(0, 0, textureWidth, textureHeight);
+}
+
+/**
+ * Generate sliding door texture
+ * @param {boolean} locked - Locked doors get a red stripe and a keycard reader
+ */
+function generateDoorTexture(locked) {
+    const textureCanvas = document.createElement('canvas');
+    const textureCtx = textureCanvas.getContext('2d');
+    textureCanvas.width = textureWidth;
+    textureCanvas.height = textureHeight;
+
+    // Steel panel with a darker border
+    textureCtx.fillStyle = '#4a5560';
+    textureCtx.fillRect(0, 0, textureWidth, textureHeight);
+    textureCtx.fillStyle = '#6b7884';
+    textureCtx.fillRect(3, 3, textureWidth - 6, textureHeight - 6);
+
+    // Horizontal ribs
+    textureCtx.fillStyle = '#56616c';
+    for (let y = 10; y < textureHeight - 6; y += 12) {
+        textureCtx.fillRect(6, y, textureWidth - 12, 3);
+    }
+
+    // Handle on the leading edge, which the door slides away from
+    textureCtx.fillStyle = '#2c3238';
+    textureCtx.fillRect(6, textureHeight / 2 - 6, 3, 12);
+
+    if (locked) {
+        textureCtx.fillStyle = '#c02020';
+        textureCtx.fillRect(3, textureHeight / 2 - 2, textureWidth - 6, 4);
+        textureCtx.fillStyle = '#202020';
+        textureCtx.fillRect(textureWidth - 16, textureHeight / 2 - 10, 8, 8);
+        textureCtx.fillStyle = '#ff4040';
+        textureCtx.fillRect(textureWidth - 14, textureHeight / 2 - 8, 4, 2);
+    }
+
+    return textureCtx.getImageData(0, 0, textureWidth, textureHeight);
+}
+
+/**
+ * Generate the texture of the walls framing a door
+ */
+function generateDoorFrameTexture() {
+    const textureCanvas = document.createElement('canvas');
+    const textureCtx = textureCanvas.getContext('2d');
+    textureCanvas.width = textureWidth;
+    textureCanvas.height = textureHeight;
+
+    textureCtx.fillStyle = '#3c4248';
+    textureCtx.fillRect(0, 0, textureWidth, textureHeight);
+
+    // Yellow and black hazard stripes down the middle
+    textureCtx.fillStyle = '#d4b020';
+    textureCtx.fillRect(textureWidth / 2 - 8, 0, 16, textureHeight);
+    textureCtx.fillStyle = '#1a1a1a';
+    for (let y = -16; y < textureHeight; y += 16) {
+        textureCtx.beginPath();
+        textureCtx.moveTo(textureWidth / 2 - 8, y);
+        textureCtx.lineTo(textureWidth / 2 + 8, y + 8);
+        textureCtx.lineTo(textureWidth / 2 + 8, y + 16);
+        textureCtx.lineTo(textureWidth / 2 - 8, y + 8);
+        textureCtx.fill();
+    }
+
+    return textureCtx.getImageData(0, 0, textureWidth, textureHeight);
+}
+
 /**
  * Generate dungeon floor texture
+ * @param {SeededRandom} random - Random stream for texture details
  */
-function generateDungeonFloorTexture() {
+function generateDungeonFloorTexture(random) {
     const textureCanvas = document.createElement('canvas');
     const textureCtx = textureCanvas.getContext('2d');
     textureCanvas.width = textureWidth;
@@ -113,10 +380,10 @@ function generateDungeonFloorTexture() {
     textureCtx.lineWidth = 1.5;
     textureCtx.beginPath();
     for (let i = 0; i < 40; i++) {
-        const x1 = Math.random() * textureWidth;
-        const y1 = Math.random() * textureHeight;
-        const x2 = x1 + (Math.random() - 0.5) * 20;
-        const y2 = y1 + (Math.random() - 0.5) * 20;
+        const x1 = random.next() * textureWidth;
+        const y1 = random.next() * textureHeight;
+        const x2 = x1 + (random.next() - 0.5) * 20;
+        const y2 = y1 + (random.next() - 0.5) * 20;
         textureCtx.moveTo(x1, y1);
         textureCtx.lineTo(x2, y2);
     }
@@ -124,9 +391,9 @@ function generateDungeonFloorTexture() {
 
     // Highlights and shadows
     for (let i = 0; i < 2000; i++) {
-        const x = Math.random() * textureWidth;
-        const y = Math.random() * textureHeight;
-        const color = Math.random() > 0.5 ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0.05)';
+        const x = random.next() * textureWidth;
+        const y = random.next() * textureHeight;
+        const color = random.next() > 0.5 ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0.05)';
         textureCtx.fillStyle = color;
         textureCtx.fillRect(x, y, 2, 2);
     }
@@ -134,13 +401,212 @@ function generateDungeonFloorTexture() {
     return textureCtx.getImageData(0, 0, textureWidth, textureHeight);
 }
 
+/**
+ * Generate a directional, animated enemy sprite sheet
+ * Rows follow ENEMY_ANIMATIONS and columns the ENEMY_VIEW_DIRECTIONS view directions
+ * @param {string} color - Uniform colour (see ENEMY_TYPES)
+ * @returns {Object} Sprite sheet (see createSpriteSheet in assets.js)
+ */
+function generateEnemySpriteSheet(color) {
+    const sheetCanvas = document.createElement('canvas');
+    const sheetCtx = sheetCanvas.getContext('2d');
+    sheetCanvas.width = ENEMY_SPRITE_FRAME_WIDTH * ENEMY_VIEW_DIRECTIONS;
+    sheetCanvas.height = ENEMY_SPRITE_FRAME_HEIGHT * ENEMY_SPRITE_ROWS;
+
+    for (const name in ENEMY_ANIMATIONS) {
+        const animation = ENEMY_ANIMATIONS[name];
+        for (let frame = 0; frame < animation.frames; frame++) {
+            for (let direction = 0; direction < ENEMY_VIEW_DIRECTIONS; direction++) {
+                // Draw each frame in its own cell, clipped so overlays stay inside it
+                sheetCtx.save();
+                sheetCtx.translate(direction * ENEMY_SPRITE_FRAME_WIDTH, (animation.row + frame) * ENEMY_SPRITE_FRAME_HEIGHT);
+                sheetCtx.beginPath();
+                sheetCtx.rect(0, 0, ENEMY_SPRITE_FRAME_WIDTH, ENEMY_SPRITE_FRAME_HEIGHT);
+                sheetCtx.clip();
+                drawEnemyFrame(sheetCtx, color, name, frame, direction);
+                sheetCtx.restore();
+            }
+        }
+    }
+
+    const imageData = sheetCtx.getImageData(0, 0, sheetCanvas.width, sheetCanvas.height);
+    return createSpriteSheet(imageData, ENEMY_SPRITE_FRAME_WIDTH, ENEMY_SPRITE_FRAME_HEIGHT, ENEMY_VIEW_DIRECTIONS);
+}
+
+/**
+ * Draw one enemy sprite frame at the origin
+ * View direction d shows the enemy with the camera d * 45 degrees round from its front,
+ * the way the renderer picks it (see getSpriteDirection in renderer.js)
+ * @param {CanvasRenderingContext2D} frameCtx - Context translated to the frame cell
+ * @param {string} color - Uniform colour
+ * @param {string} animation - Animation name (key in ENEMY_ANIMATIONS)
+ * @param {number} frame - Frame index within the animation
+ * @param {number} direction - View direction index
+ */
+function drawEnemyFrame(frameCtx, color, animation, frame, direction) {
+    const viewAngle = direction * 2 * Math.PI / ENEMY_VIEW_DIRECTIONS;
+    const view = {
+        front: Math.cos(viewAngle), // 1 when facing the camera, -1 when facing away
+        side: -Math.sin(viewAngle) // Screen direction the enemy faces, 1 is right
+    };
+    const pose = { stride: 0, bob: 0, gunRaised: false, firing: false };
+
+    if (animation === 'walk') {
+        pose.stride = [0, 1, 0, -1][frame];
+        pose.bob = frame % 2;
+    } else if (animation === 'attack') {
+        pose.gunRaised = true;
+        pose.firing = frame === 1;
+    }
+
+    if (animation === 'death') {
+        // Crumple towards the floor, leaving a pool of blood
+        const squashX = [1, 1.1, 1.25, 1.4][frame];
+        const squashY = [0.9, 0.7, 0.45, 0.25][frame];
+        if (frame >= 2) {
+            frameCtx.fillStyle = '#6a0000';
+            frameCtx.beginPath();
+            frameCtx.ellipse(ENEMY_SPRITE_FRAME_WIDTH / 2, ENEMY_SPRITE_FRAME_HEIGHT - 2, 6 + frame * 3, 2, 0, 0, 2 * Math.PI);
+            frameCtx.fill();
+        }
+        frameCtx.save();
+        frameCtx.translate(ENEMY_SPRITE_FRAME_WIDTH / 2, ENEMY_SPRITE_FRAME_HEIGHT);
+        frameCtx.scale(squashX, squashY);
+        frameCtx.translate(-ENEMY_SPRITE_FRAME_WIDTH / 2, -ENEMY_SPRITE_FRAME_HEIGHT);
+        drawEnemyFigure(frameCtx, color, view, pose);
+        frameCtx.restore();
+        fillFrameOverlay(frameCtx, `rgba(40, 0, 0, ${0.2 + frame * 0.15})`);
+    } else {
+        drawEnemyFigure(frameCtx, color, view, pose);
+        if (animation === 'pain') {
+            fillFrameOverlay(frameCtx, 'rgba(255, 255, 255, 0.45)');
+        }
+    }
+}
+
+/**
+ * Draw a standing enemy: legs, torso, head and gun
+ * @param {CanvasRenderingContext2D} frameCtx - Context translated to the frame cell
+ * @param {string} color - Uniform colour
+ * @param {Object} view - {front, side} facing relative to the camera (see drawEnemyFrame)
+ * @param {Object} pose - {stride, bob, gunRaised, firing}
+ */
+function drawEnemyFigure(frameCtx, color, view, pose) {
+    const centerX = ENEMY_SPRITE_FRAME_WIDTH / 2;
+    const facingAway = view.front < -0.3;
+    const sideOn = Math.abs(view.side) > 0.3;
+    const frontness = Math.abs(view.front);
+
+    // Legs stride sideways in profile and lift in turn seen head-on
+    const legSpread = 1 + Math.round(3 * frontness);
+    const legSwing = Math.round(pose.stride * 3 * view.side);
+    const legLift = Math.round(2 * frontness);
+    frameCtx.fillStyle = '#2b2b2b';
+    frameCtx.fillRect(centerX - legSpread - 2 + legSwing, 27 + (pose.stride > 0 ? legLift : 0), 4, 13);
+    frameCtx.fillRect(centerX + legSpread - 2 - legSwing, 27 + (pose.stride < 0 ? legLift : 0), 4, 13);
+
+    const gunY = (pose.gunRaised ? 16 : 19) + pose.bob;
+    const gunTipX = sideOn ? centerX + view.side * 13 : centerX + view.side * 4 + 2;
+
+    // Torso, wider seen head-on, darker seen from behind
+    const torsoWidth = 8 + Math.round(6 * frontness);
+    frameCtx.fillStyle = color;
+    frameCtx.fillRect(centerX - torsoWidth / 2, 14 + pose.bob, torsoWidth, 14);
+    if (facingAway) {
+        frameCtx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        frameCtx.fillRect(centerX - torsoWidth / 2, 14 + pose.bob, torsoWidth, 14);
+    }
+
+    // Head with a helmet, eyes only when the face is visible
+    const headX = centerX - 4 + Math.round(view.side);
+    frameCtx.fillStyle = '#e0b080';
+    frameCtx.fillRect(headX, 5 + pose.bob, 8, 9);
+    frameCtx.fillStyle = '#3a3a3a';
+    frameCtx.fillRect(headX - 1, 3 + pose.bob, 10, 4);
+    if (!facingAway) {
+        frameCtx.fillStyle = '#000000';
+        const eyeX = centerX + Math.round(view.side * 2);
+        if (sideOn && Math.abs(view.side) > 0.8) {
+            frameCtx.fillRect(eyeX + (view.side > 0 ? 1 : -2), 9 + pose.bob, 1, 2);
+        } else {
+            frameCtx.fillRect(eyeX - 2, 9 + pose.bob, 1, 2);
+            frameCtx.fillRect(eyeX + 1, 9 + pose.bob, 1, 2);
+        }
+    }
+
+    // Seen from behind, the body hides the gun
+    if (!facingAway || sideOn) {
+        drawEnemyGun(frameCtx, centerX, gunY, view);
+    }
+
+    if (pose.firing) {
+        frameCtx.fillStyle = '#ffd94a';
+        frameCtx.beginPath();
+        frameCtx.arc(gunTipX, gunY + 1, 3, 0, 2 * Math.PI);
+        frameCtx.fill();
+    }
+}
+
+/**
+ * Draw an enemy's gun, pointing the way the enemy faces on screen
+ * @param {CanvasRenderingContext2D} frameCtx - Context translated to the frame cell
+ * @param {number} centerX - Body centre X
+ * @param {number} gunY - Top of the gun
+ * @param {Object} view - {front, side} facing relative to the camera (see drawEnemyFrame)
+ */
+function drawEnemyGun(frameCtx, centerX, gunY, view) {
+    frameCtx.fillStyle = '#555555';
+    if (Math.abs(view.side) > 0.3) {
+        // In profile the barrel sticks out in front
+        const length = 13 * Math.abs(view.side);
+        frameCtx.fillRect(view.side > 0 ? centerX : centerX - length, gunY, length, 3);
+    } else {
+        // Head-on only the end of the gun shows
+        frameCtx.fillRect(centerX + view.side * 4, gunY, 4, 4);
+    }
+}
+
+/**
+ * Tint the pixels already drawn in the current frame cell
+ * @param {CanvasRenderingContext2D} frameCtx - Context translated and clipped to the frame cell
+ * @param {string} color - Overlay colour, usually translucent
+ */
+function fillFrameOverlay(frameCtx, color) {
+    frameCtx.save();
+    frameCtx.globalCompositeOperation = 'source-atop';
+    frameCtx.fillStyle = color;
+    frameCtx.fillRect(0, 0, ENEMY_SPRITE_FRAME_WIDTH, ENEMY_SPRITE_FRAME_HEIGHT);
+    frameCtx.restore();
+}
+
 /**
  * Generate all game textures
+ * Wall and door textures are registered by tile ID in textures.walls (see WALL_TYPES and DOOR_TYPES in game.js)
  */
 function generateTextures() {
-    textures.wall = generateBrickTexture();
-    textures.floor = generateDungeonFloorTexture();
-    textures.ceiling = generateDungeonFloorTexture(); // Using floor for ceiling for now
+    const textureRng = rng.derive('textures');
+    textures.floor = generateDungeonFloorTexture(textureRng);
+    textures.ceiling = generateDungeonFloorTexture(textureRng); // Using floor for ceiling for now
+
+    const wallRng = rng.derive('textures', 'walls');
+    textures.walls = {};
+    for (const id in WALL_TYPES) {
+        const generator = WALL_TEXTURE_GENERATORS[WALL_TYPES[id].name];
+        textures.walls[id] = generator(wallRng);
+    }
+    for (const id in DOOR_TYPES) {
+        textures.walls[id] = generateDoorTexture(DOOR_TYPES[id].locked);
+    }
+    textures.doorFrame = generateDoorFrameTexture();
+
+    // Procedural enemy sprite sheets by enemy type, used where the manifest has none
+    textures.sprites = {};
+    for (const type in ENEMY_TYPES) {
+        textures.sprites[type] = generateEnemySpriteSheet(ENEMY_TYPES[type].color);
+    }
+
+    // Art from the asset manifest replaces the procedural textures (see assets.js)
+    assetLoader.applyTextures(textures);
 }
 
 /**
@@ -148,13 +614,7 @@ function generateTextures() {
  */
 function updateRotation(e) {
     const rotAmount = e.movementX * 0.002;
-    const p = gameState.player;
-    const oldDirX = p.dirX;
-    p.dirX = p.dirX * Math.cos(-rotAmount) - p.dirY * Math.sin(-rotAmount);
-    p.dirY = oldDirX * Math.sin(-rotAmount) + p.dirY * Math.cos(-rotAmount);
-    const oldPlaneX = p.planeX;
-    p.planeX = p.planeX * Math.cos(-rotAmount) - p.planeY * Math.sin(-rotAmount);
-    p.planeY = oldPlaneX * Math.sin(-rotAmount) + p.planeY * Math.cos(-rotAmount);
+    gameState.player.rotate(-rotAmount);
 }
 
 /**
@@ -165,6 +625,49 @@ function setupInputHandlers() {
     document.addEventListener('keydown', (e) => { keys[e.code] = true; });
     document.addEventListener('keyup', (e) => { keys[e.code] = false; });
 
+    // Save hotkeys
+    document.addEventListener('keydown', (e) => {
+        const slot = SAVE_HOTKEYS[e.code];
+        if (slot) {
+            e.preventDefault();
+            saveGame(slot);
+        }
+    });
+
+    // Controls settings screen
+    document.addEventListener('keydown', (e) => {
+        if (e.code === SETTINGS_HOTKEY) {
+            e.preventDefault();
+            toggleControlsSettings();
+        }
+    });
+
+    // Fullscreen toggle
+    document.addEventListener('keydown', (e) => {
+        if (e.code === FULLSCREEN_HOTKEY) {
+            e.preventDefault();
+            toggleFullscreen();
+        }
+    });
+
+    // Resize the canvas and render buffers when the window or fullscreen state changes.
+    // Resize events can fire many times per frame, so the work is done once, before the next frame
+    let resizePending = false;
+    const handleResize = () => {
+        if (resizePending) return;
+        resizePending = true;
+        requestAnimationFrame(() => {
+            resizePending = false;
+            initializeCanvas();
+        });
+    };
+    window.addEventListener('resize', handleResize);
+    document.addEventListener('fullscreenchange', handleResize);
+    document.addEventListener('webkitfullscreenchange', handleResize);
+
+    // Touch controls turn themselves on at the first touch
+    touchControls.attach(canvas);
+
     // Pointer lock change handler
     document.addEventListener('pointerlockchange', () => {
         if (document.pointerLockElement === canvas) document.addEventListener("mousemove", updateRotation, false);
@@ -173,12 +676,19 @@ function setupInputHandlers() {
 }
 
 /**
- * Set up basic canvas click handler for shooting and pointer lock
+ * Set up canvas mouse handlers for pointer lock and mouse button input
+ * Shooting goes through the 'fire' action bound to Mouse0 by default
  */
 function setupCanvasClickHandler() {
     canvas.addEventListener('click', () => {
         audioManager.init(); // Initialize audio on first click
-        canvas.requestPointerLock();
-        shoot();
+
+        // Touch devices look by swiping and have no pointer lock
+        if (!touchControls.enabled && canvas.requestPointerLock) {
+            canvas.requestPointerLock();
+        }
     });
+    canvas.addEventListener('mousedown', (e) => { keys[`Mouse${e.button}`] = true; });
+    document.addEventListener('mouseup', (e) => { keys[`Mouse${e.button}`] = false; });
+    canvas.addEventListener('contextmenu', (e) => e.preventDefault());
 }
\ No newline at end of file
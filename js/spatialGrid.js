@@ -0,0 +1,172 @@
+// Row stride for numeric cell keys, larger than any map width
+const SPATIAL_GRID_ROW_STRIDE = 65536;
+
+/**
+ * SpatialGrid - Uniform grid of map tiles that buckets entities by position
+ * Lets collision checks look at the entities in nearby cells instead of every entity in the level
+ */
+class SpatialGrid {
+    /**
+     * Create a new, empty SpatialGrid
+     * @param {number} cellSize - Cell size in tiles (default: one map tile per cell)
+     */
+    constructor(cellSize = 1) {
+        this.cellSize = cellSize;
+
+        // Cell key -> entities in that cell
+        this.cells = new Map();
+
+        // Entity -> key of the cell it is currently stored in
+        this.entityCells = new Map();
+    }
+
+    /**
+     * Get the key of the cell containing a position
+     * @param {number} x - X position in tiles
+     * @param {number} y - Y position in tiles
+     * @returns {number} Cell key
+     */
+    getCellKey(x, y) {
+        return this.getKeyForCell(Math.floor(x / this.cellSize), Math.floor(y / this.cellSize));
+    }
+
+    /**
+     * Get the key of a cell from its coordinates
+     * @param {number} cellX - Cell column
+     * @param {number} cellY - Cell row
+     * @returns {number} Cell key
+     */
+    getKeyForCell(cellX, cellY) {
+        return cellY * SPATIAL_GRID_ROW_STRIDE + cellX;
+    }
+
+    /**
+     * Add an entity to the cell at its position
+     * @param {Entity} entity - Entity to add
+     */
+    insert(entity) {
+        if (this.entityCells.has(entity)) {
+            this.update(entity);
+            return;
+        }
+
+        const key = this.getCellKey(entity.x, entity.y);
+        this.addToCell(key, entity);
+        this.entityCells.set(entity, key);
+    }
+
+    /**
+     * Remove an entity from the grid
+     * @param {Entity} entity - Entity to remove
+     */
+    remove(entity) {
+        const key = this.entityCells.get(entity);
+        if (key === undefined) return;
+
+        this.removeFromCell(key, entity);
+        this.entityCells.delete(entity);
+    }
+
+    /**
+     * Move an entity to a new cell if it has crossed a cell boundary since it was stored
+     * @param {Entity} entity - Entity that may have moved
+     */
+    update(entity) {
+        const oldKey = this.entityCells.get(entity);
+        if (oldKey === undefined) return;
+
+        const newKey = this.getCellKey(entity.x, entity.y);
+        if (newKey === oldKey) return;
+
+        this.removeFromCell(oldKey, entity);
+        this.addToCell(newKey, entity);
+        this.entityCells.set(entity, newKey);
+    }
+
+    /**
+     * Remove every entity from the grid
+     */
+    clear() {
+        this.cells.clear();
+        this.entityCells.clear();
+    }
+
+    /**
+     * Find the entities within a radius of a position
+     * Only the cells overlapping the radius are searched
+     * @param {number} x - Centre X position
+     * @param {number} y - Centre Y position
+     * @param {number} radius - Search radius in tiles
+     * @param {string|null} type - Only return entities of this type (optional)
+     * @returns {Entity[]} Entities whose position is within the radius
+     */
+    query(x, y, radius, type = null) {
+        const results = [];
+        const minCellX = Math.floor((x - radius) / this.cellSize);
+        const maxCellX = Math.floor((x + radius) / this.cellSize);
+        const minCellY = Math.floor((y - radius) / this.cellSize);
+        const maxCellY = Math.floor((y + radius) / this.cellSize);
+
+        for (let cellY = minCellY; cellY <= maxCellY; cellY++) {
+            for (let cellX = minCellX; cellX <= maxCellX; cellX++) {
+                const cell = this.cells.get(this.getKeyForCell(cellX, cellY));
+                if (!cell) continue;
+
+                for (let i = 0; i < cell.length; i++) {
+                    const entity = cell[i];
+                    if (type && entity.type !== type) continue;
+
+                    const dx = entity.x - x;
+                    const dy = entity.y - y;
+                    if (dx * dx + dy * dy <= radius * radius) {
+                        results.push(entity);
+                    }
+                }
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Add an entity to a cell's bucket, creating the bucket if needed
+     * @param {number} key - Cell key
+     * @param {Entity} entity - Entity to add
+     */
+    addToCell(key, entity) {
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = [];
+            this.cells.set(key, cell);
+        }
+        cell.push(entity);
+    }
+
+    /**
+     * Remove an entity from a cell's bucket, dropping the bucket once it is empty
+     * @param {number} key - Cell key
+     * @param {Entity} entity - Entity to remove
+     */
+    removeFromCell(key, entity) {
+        const cell = this.cells.get(key);
+        if (!cell) return;
+
+        const index = cell.indexOf(entity);
+        if (index !== -1) {
+            // Order within a cell does not matter, so swap-remove
+            cell[index] = cell[cell.length - 1];
+            cell.pop();
+        }
+        if (cell.length === 0) {
+            this.cells.delete(key);
+        }
+    }
+}
+
+// Export the SpatialGrid class
+if (typeof window !== 'undefined') {
+    window.SPATIAL_GRID_ROW_STRIDE = SPATIAL_GRID_ROW_STRIDE;
+    window.SpatialGrid = SpatialGrid;
+} else if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SPATIAL_GRID_ROW_STRIDE, SpatialGrid };
+}
@@ -0,0 +1,74 @@
+/**
+ * StateMachine - Runs one named state at a time, each with its own handlers
+ * A state is an object with optional enter(data), exit(), update(frameTime) and render() methods
+ */
+class StateMachine {
+    /**
+     * Create a new StateMachine
+     * @param {Object} states - Map of state name to state handlers
+     */
+    constructor(states = {}) {
+        this.states = states;
+        this.current = null;
+        this.currentName = null;
+    }
+
+    /**
+     * Switch to another state, calling exit() on the old one and enter(data) on the new one
+     * @param {string} name - Name of the state to enter
+     * @param {Object} data - Data passed to the new state's enter()
+     */
+    change(name, data = {}) {
+        const next = this.states[name];
+        if (!next) {
+            console.error(`StateMachine: Unknown state '${name}'`);
+            return;
+        }
+
+        if (this.current && this.current.exit) {
+            this.current.exit();
+        }
+
+        this.current = next;
+        this.currentName = name;
+
+        if (next.enter) {
+            next.enter(data);
+        }
+    }
+
+    /**
+     * Check whether a state is the current one
+     * @param {string} name - State name
+     * @returns {boolean} True if the state is active
+     */
+    is(name) {
+        return this.currentName === name;
+    }
+
+    /**
+     * Update the current state
+     * @param {number} frameTime - Real time since the last frame in seconds
+     */
+    update(frameTime) {
+        if (this.current && this.current.update) {
+            this.current.update(frameTime);
+        }
+    }
+
+    /**
+     * Render the current state
+     */
+    render() {
+        if (this.current && this.current.render) {
+            this.current.render();
+        }
+    }
+}
+
+// Export the StateMachine class
+if (typeof window !== 'undefined') {
+    window.StateMachine = StateMachine;
+} else if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StateMachine;
+}
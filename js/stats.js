@@ -0,0 +1,93 @@
+/**
+ * GameStats - Run statistics collected from gameplay events
+ */
+class GameStats {
+    /**
+     * Create a new GameStats
+     */
+    constructor() {
+        this.reset();
+    }
+
+    /**
+     * Reset all counters for a new run
+     */
+    reset() {
+        this.kills = 0;
+        this.killsByType = {};
+        this.shotsFired = 0;
+        this.damageDealt = 0;
+        this.damageTaken = 0;
+        this.pickupsCollected = 0;
+        this.levelsCompleted = 0;
+    }
+
+    /**
+     * Subscribe the counters to gameplay events
+     * @param {EventBus} bus - Event bus to subscribe to
+     */
+    subscribe(bus) {
+        bus.on('weaponFired', () => {
+            this.shotsFired++;
+        });
+
+        bus.on('enemyDamaged', (event) => {
+            this.damageDealt += event.amount;
+        });
+
+        bus.on('enemyKilled', (event) => {
+            const enemyType = event.enemy.enemyType;
+            this.kills++;
+            this.killsByType[enemyType] = (this.killsByType[enemyType] || 0) + 1;
+        });
+
+        bus.on('playerDamaged', (event) => {
+            this.damageTaken += event.amount;
+        });
+
+        bus.on('pickupCollected', () => {
+            this.pickupsCollected++;
+        });
+
+        bus.on('levelCompleted', () => {
+            this.levelsCompleted++;
+        });
+    }
+
+    /**
+     * Get a plain-data copy of the counters
+     * @returns {Object} Stats snapshot
+     */
+    getSnapshot() {
+        return {
+            kills: this.kills,
+            killsByType: { ...this.killsByType },
+            shotsFired: this.shotsFired,
+            damageDealt: this.damageDealt,
+            damageTaken: this.damageTaken,
+            pickupsCollected: this.pickupsCollected,
+            levelsCompleted: this.levelsCompleted
+        };
+    }
+
+    /**
+     * Restore counters from a snapshot (save games)
+     * @param {Object} data - Stats snapshot from getSnapshot()
+     */
+    restore(data) {
+        this.reset();
+        Object.assign(this, data, { killsByType: { ...data.killsByType } });
+    }
+}
+
+// Global stats instance for the current run
+const gameStats = new GameStats();
+gameStats.subscribe(eventBus);
+
+// Export the GameStats class
+if (typeof window !== 'undefined') {
+    window.GameStats = GameStats;
+    window.gameStats = gameStats;
+} else if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GameStats, gameStats };
+}
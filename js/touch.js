@@ -0,0 +1,207 @@
+// --- Touch Controls ---
+
+// Radians turned by swiping across the full width of the screen
+const TOUCH_LOOK_SPEED = Math.PI;
+
+/**
+ * TouchControls - On-canvas controls for phones and tablets
+ * A virtual stick on the left half moves, swipes on the right half look around,
+ * and buttons fire, reload, cycle weapons and open doors. Enabled by the first touch
+ */
+class TouchControls {
+    /**
+     * Create a new TouchControls
+     */
+    constructor() {
+        this.enabled = false;
+
+        // Active touches by Touch.identifier: { role: 'stick'|'look'|'button', ... }
+        this.touches = new Map();
+
+        // Stick deflection (-1 to 1 on each axis) and held button actions
+        this.stickX = 0;
+        this.stickY = 0;
+        this.heldActions = new Set();
+    }
+
+    /**
+     * Listen for touches on the canvas and enable the controls on the first one
+     * @param {HTMLCanvasElement} canvasElement - Game canvas
+     */
+    attach(canvasElement) {
+        this.canvas = canvasElement;
+
+        window.addEventListener('touchstart', () => this.enable(), { once: true, passive: true });
+
+        // Not passive: during play preventDefault stops the browser emulating mouse clicks and scrolling.
+        // On the menus taps are left alone, so they still click (the start screen starts on a click)
+        canvasElement.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: false });
+        canvasElement.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: false });
+        canvasElement.addEventListener('touchend', (e) => this.handleTouchEnd(e), { passive: false });
+        canvasElement.addEventListener('touchcancel', (e) => this.handleTouchEnd(e), { passive: false });
+    }
+
+    /**
+     * Turn the touch controls on and feed them into the input system
+     */
+    enable() {
+        if (this.enabled) return;
+
+        this.enabled = true;
+        inputManager.addSource(this);
+    }
+
+    /**
+     * Get the on-screen positions of the stick and buttons
+     * Laid out above the HUD bar and scaled by uiScale
+     * @returns {Object} Layout {stick: {x, y, radius}, buttons: [{action, label, x, y, radius}]}
+     */
+    getLayout() {
+        const hudTop = screenHeight - 100 * uiScale;
+        const rightX = screenWidth - 70 * uiScale;
+        const rowY = hudTop - 70 * uiScale;
+
+        return {
+            stick: { x: 90 * uiScale, y: rowY, radius: 45 * uiScale },
+            buttons: [
+                { action: 'fire', label: '🔥', x: rightX, y: rowY, radius: 35 * uiScale },
+                { action: 'reload', label: '🔄', x: rightX - 75 * uiScale, y: rowY + 20 * uiScale, radius: 22 * uiScale },
+                { action: 'nextWeapon', label: '🔫', x: rightX - 55 * uiScale, y: rowY - 55 * uiScale, radius: 22 * uiScale },
+                { action: 'use', label: '🚪', x: rightX + 5 * uiScale, y: rowY - 85 * uiScale, radius: 22 * uiScale }
+            ]
+        };
+    }
+
+    /**
+     * Convert a touch to canvas coordinates
+     * @param {Touch} touch - Touch point
+     * @returns {Object} Position {x, y} in canvas pixels
+     */
+    getTouchPosition(touch) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (touch.clientX - rect.left) * (screenWidth / rect.width),
+            y: (touch.clientY - rect.top) * (screenHeight / rect.height)
+        };
+    }
+
+    /**
+     * Assign new touches to a button, the stick or the look area
+     * Outside of play the touch is left to the browser so it becomes a click
+     * @param {TouchEvent} e - Touch event
+     */
+    handleTouchStart(e) {
+        audioManager.init(); // Audio needs a user gesture on mobile browsers
+        if (!gameFlow.is('playing')) return;
+
+        e.preventDefault();
+
+        const layout = this.getLayout();
+        for (const touch of e.changedTouches) {
+            const pos = this.getTouchPosition(touch);
+
+            // Buttons get a slightly larger hit area than they are drawn
+            const button = layout.buttons.find(b => Math.hypot(pos.x - b.x, pos.y - b.y) < b.radius * 1.3);
+            if (button) {
+                this.touches.set(touch.identifier, { role: 'button', action: button.action });
+                this.heldActions.add(button.action);
+            } else if (pos.x < screenWidth / 2) {
+                this.touches.set(touch.identifier, { role: 'stick' });
+                this.updateStick(pos, layout.stick);
+            } else {
+                this.touches.set(touch.identifier, { role: 'look', lastX: pos.x });
+            }
+        }
+    }
+
+    /**
+     * Move the stick or turn the view for touches that moved
+     * @param {TouchEvent} e - Touch event
+     */
+    handleTouchMove(e) {
+        if (gameFlow.is('playing')) e.preventDefault();
+
+        const layout = this.getLayout();
+        for (const touch of e.changedTouches) {
+            const state = this.touches.get(touch.identifier);
+            if (!state) continue;
+
+            const pos = this.getTouchPosition(touch);
+            if (state.role === 'stick') {
+                this.updateStick(pos, layout.stick);
+            } else if (state.role === 'look') {
+                // Same rotation as mouse look: moving right turns right
+                const deltaX = pos.x - state.lastX;
+                state.lastX = pos.x;
+                if (gameState.player) {
+                    gameState.player.rotate(-(deltaX / screenWidth) * TOUCH_LOOK_SPEED);
+                }
+            }
+        }
+    }
+
+    /**
+     * Release the stick or buttons held by touches that ended
+     * Touches still end outside of play, to release controls held when the game paused
+     * @param {TouchEvent} e - Touch event
+     */
+    handleTouchEnd(e) {
+        if (gameFlow.is('playing')) e.preventDefault();
+
+        for (const touch of e.changedTouches) {
+            const state = this.touches.get(touch.identifier);
+            if (!state) continue;
+
+            if (state.role === 'stick') {
+                this.stickX = 0;
+                this.stickY = 0;
+            } else if (state.role === 'button') {
+                this.heldActions.delete(state.action);
+            }
+            this.touches.delete(touch.identifier);
+        }
+    }
+
+    /**
+     * Set the stick deflection from a touch position, clamped to the stick radius
+     * @param {Object} pos - Touch position in canvas pixels
+     * @param {Object} stick - Stick layout {x, y, radius}
+     */
+    updateStick(pos, stick) {
+        let dx = (pos.x - stick.x) / stick.radius;
+        let dy = (pos.y - stick.y) / stick.radius;
+        const length = Math.hypot(dx, dy);
+        if (length > 1) {
+            dx /= length;
+            dy /= length;
+        }
+        this.stickX = dx;
+        this.stickY = dy;
+    }
+
+    /**
+     * Read the touch state as action values (polled by InputManager each step)
+     * @returns {Object|null} Action values, or null while disabled
+     */
+    poll() {
+        if (!this.enabled) return null;
+
+        const values = {
+            moveForward: Math.max(0, -this.stickY),
+            moveBackward: Math.max(0, this.stickY),
+            strafeLeft: Math.max(0, -this.stickX),
+            strafeRight: Math.max(0, this.stickX)
+        };
+        for (const action of this.heldActions) {
+            values[action] = 1;
+        }
+        return values;
+    }
+}
+
+// Global touch controls instance
+const touchControls = new TouchControls();
+
+// --- Exports ---
+window.TouchControls = TouchControls;
+window.touchControls = touchControls;
@@ -6,12 +6,13 @@ const WEAPON_TYPES = {
         clipSize: 15,
         damage: 50,
         fireRate: 1, // bullets per click
-        fireDelay: 0, // frames between shots in burst
-        bulletSpeed: 0.2,
+        fireDelay: 0, // seconds between shots in burst
+        bulletSpeed: 12, // tiles per second
         bulletColor: '#FFFF00',
-        reloadTime: 60, // frames
+        reloadTime: 1.0, // seconds
         spread: 0, // bullet spread in radians
         sound: 'shot',
+        loudness: 8, // open tiles the shot is heard across (see hearing.js)
         pickupColor: '#C0C0C0'
     },
     'shotgun': {
@@ -19,12 +20,13 @@ const WEAPON_TYPES = {
         clipSize: 2,
         damage: 40,
         fireRate: 5, // bullets per click (pellets)
-        fireDelay: 2, // frames between pellets
-        bulletSpeed: 0.15,
+        fireDelay: 0.033, // seconds between pellets
+        bulletSpeed: 9, // tiles per second
         bulletColor: '#FF8C00', 
-        reloadTime: 100, // frames (slower reload)
+        reloadTime: 1.67, // seconds (slower reload)
         spread: 0.1, // wider spread
         sound: 'shotgun_blast',
+        loudness: 12,
         pickupColor: '#8B4513'
     },
     'machinegun': {
@@ -33,17 +35,25 @@ const WEAPON_TYPES = {
         damage: 25,
         fireRate: 1,
         fireDelay: 0,
-        bulletSpeed: 0.25,
+        bulletSpeed: 15, // tiles per second
         bulletColor: '#FF0000',
-        reloadTime: 180, // frames (longest reload)
+        reloadTime: 3.0, // seconds (longest reload)
         spread: 0.1, // slight spread
         sound: 'machine_gun',
+        loudness: 10,
         pickupColor: '#2F4F4F'
     }
 };
 
 class WeaponManager {
     constructor() {
+        this.reset();
+    }
+
+    /**
+     * Reset to the starting loadout (pistol only, full clip) for a new run
+     */
+    reset() {
         this.currentWeapon = 'pistol';
         this.weapons = {};
         this.fireTimer = 0;
@@ -87,8 +97,8 @@ class WeaponManager {
         this.fireBullet(player, weapon);
         weaponState.clipAmmo--;
         
-        // Play weapon sound
-        audioManager.play(weapon.sound);
+        eventBus.emit('weaponFired', { weaponType: this.currentWeapon, weapon: weapon, player: player });
+        eventBus.emit('noise', { x: player.x, y: player.y, loudness: weapon.loudness, source: player });
         
         return true;
     }
@@ -96,30 +106,32 @@ class WeaponManager {
     fireBullet(player, weapon) {
         // Calculate spread
         const baseAngle = Math.atan2(player.dirY, player.dirX);
-        const spreadAngle = (Math.random() - 0.5) * weapon.spread;
+        const spreadAngle = (rng.next() - 0.5) * weapon.spread;
         const finalAngle = baseAngle + spreadAngle;
         
         const dirX = Math.cos(finalAngle);
         const dirY = Math.sin(finalAngle);
         
         // Create bullet
-        gameState.sprites.push({
-            type: 'playerBullet',
-            x: player.x,
-            y: player.y,
+        gameState.world.add(new PlayerBullet(player.x, player.y, {
             dirX: dirX,
             dirY: dirY,
             speed: weapon.bulletSpeed,
             damage: weapon.damage,
             color: weapon.bulletColor,
-            lifetime: 100
-        });
+            lifetime: 1.67, // seconds
+            source: player
+        }));
     }
 
-    update() {
+    /**
+     * Advance fire and reload timers
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     */
+    update(deltaTime) {
         // Handle fire timer
         if (this.fireTimer > 0) {
-            this.fireTimer--;
+            this.fireTimer -= deltaTime;
             
             // Continue burst fire
             if (this.fireTimer <= 0 && this.burstCount > 1) {
@@ -139,7 +151,7 @@ class WeaponManager {
 
         // Handle reload timer
         if (this.reloadTimer > 0) {
-            this.reloadTimer--;
+            this.reloadTimer -= deltaTime;
             if (this.reloadTimer <= 0) {
                 this.finishReload();
             }
@@ -160,7 +172,7 @@ class WeaponManager {
         this.reloadTimer = weapon.reloadTime;
         this.burstCount = 0; // Stop any burst fire
         
-        audioManager.play('reload');
+        eventBus.emit('weaponReloadStarted', { weaponType: this.currentWeapon, weapon: weapon });
         return true;
     }
 
@@ -188,6 +200,24 @@ class WeaponManager {
         return true;
     }
 
+    /**
+     * Switch to the next or previous owned weapon, wrapping around
+     * @param {number} step - 1 for the next weapon, -1 for the previous one
+     * @returns {boolean} True if the weapon changed
+     */
+    cycleWeapon(step) {
+        const weaponTypes = Object.keys(WEAPON_TYPES);
+        const currentIndex = weaponTypes.indexOf(this.currentWeapon);
+
+        for (let i = 1; i < weaponTypes.length; i++) {
+            const index = (currentIndex + step * i + weaponTypes.length * i) % weaponTypes.length;
+            if (this.weapons[weaponTypes[index]].owned) {
+                return this.switchWeapon(weaponTypes[index]);
+            }
+        }
+        return false;
+    }
+
     pickupWeapon(weaponType) {
         if (!WEAPON_TYPES[weaponType]) return false;
         
@@ -217,7 +247,53 @@ class WeaponManager {
         const weapon = this.getCurrentWeapon();
         return 1 - (this.reloadTimer / weapon.reloadTime);
     }
+
+    /**
+     * Serialize weapon ownership and clip state for save games
+     * @returns {Object} Plain-data weapon state
+     */
+    serialize() {
+        const weapons = {};
+        for (const weaponType in this.weapons) {
+            weapons[weaponType] = {
+                owned: this.weapons[weaponType].owned,
+                clipAmmo: this.weapons[weaponType].clipAmmo
+            };
+        }
+        return { currentWeapon: this.currentWeapon, weapons: weapons };
+    }
+
+    /**
+     * Restore weapon state written by serialize()
+     * Bursts and reloads in progress are not saved and restart idle
+     * @param {Object} data - Saved weapon state
+     */
+    restore(data) {
+        for (const weaponType in this.weapons) {
+            const saved = data.weapons[weaponType];
+            if (saved) {
+                this.weapons[weaponType].owned = saved.owned;
+                this.weapons[weaponType].clipAmmo = saved.clipAmmo;
+            }
+        }
+
+        this.fireTimer = 0;
+        this.reloadTimer = 0;
+        this.burstCount = 0;
+        this.isReloading = false;
+        this.currentWeapon = 'pistol';
+        this.switchWeapon(data.currentWeapon);
+    }
 }
 
 // Global weapon manager instance
-const weaponManager = new WeaponManager();
\ No newline at end of file
+const weaponManager = new WeaponManager();
+
+// --- Exports ---
+if (typeof window !== 'undefined') {
+    window.WEAPON_TYPES = WEAPON_TYPES;
+    window.WeaponManager = WeaponManager;
+    window.weaponManager = weaponManager;
+} else if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WEAPON_TYPES, WeaponManager, weaponManager };
+}
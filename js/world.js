@@ -0,0 +1,160 @@
+/**
+ * World - Registry of all live entities in the current level
+ * Drives entity updates and removes entities once they report shouldRemove()
+ * Entities are also bucketed in a SpatialGrid so collision checks can query nearby entities
+ */
+class World {
+    /**
+     * Create a new, empty World
+     */
+    constructor() {
+        this.entities = [];
+        this.player = null;
+        this.grid = new SpatialGrid();
+    }
+
+    /**
+     * Register an entity with the world
+     * @param {Entity} entity - Entity to add
+     * @returns {Entity} The added entity
+     */
+    add(entity) {
+        if (!entity) {
+            console.warn('World: Attempted to add null entity');
+            return null;
+        }
+
+        this.entities.push(entity);
+        this.grid.insert(entity);
+        return entity;
+    }
+
+    /**
+     * Register the player entity with the world
+     * @param {Player} player - Player entity
+     * @returns {Player} The player entity
+     */
+    setPlayer(player) {
+        if (this.player && this.player !== player) {
+            this.remove(this.player);
+        }
+
+        this.player = player;
+        if (!this.entities.includes(player)) {
+            this.add(player);
+        }
+        return player;
+    }
+
+    /**
+     * Remove an entity from the world without cleaning it up
+     * @param {Entity} entity - Entity to remove
+     */
+    remove(entity) {
+        const index = this.entities.indexOf(entity);
+        if (index !== -1) {
+            this.entities.splice(index, 1);
+        }
+        this.grid.remove(entity);
+        if (entity === this.player) {
+            this.player = null;
+        }
+    }
+
+    /**
+     * Update every registered entity and sweep the ones marked for removal
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     */
+    update(deltaTime) {
+        // Entities spawned during this update are picked up on the next one.
+        // Iterate a local reference so a clear() mid-update (level change) only
+        // finishes the old, already cleaned-up entity list
+        const entities = this.entities;
+        const count = entities.length;
+        for (let i = 0; i < count; i++) {
+            const entity = entities[i];
+            if (entity) {
+                entity.update(deltaTime);
+                this.grid.update(entity);
+            }
+        }
+
+        this.removeMarkedEntities();
+    }
+
+    /**
+     * Remove and clean up all entities whose shouldRemove() returns true
+     */
+    removeMarkedEntities() {
+        let writeIndex = 0;
+        for (let i = 0; i < this.entities.length; i++) {
+            const entity = this.entities[i];
+            if (entity.shouldRemove() && entity !== this.player) {
+                this.grid.remove(entity);
+                entity.cleanup();
+            } else {
+                this.entities[writeIndex++] = entity;
+            }
+        }
+        this.entities.length = writeIndex;
+    }
+
+    /**
+     * Remove every entity, cleaning up all of them except the player
+     * The player survives between levels, so it is only unregistered
+     */
+    clear() {
+        for (const entity of this.entities) {
+            if (entity !== this.player) {
+                entity.cleanup();
+            }
+        }
+        this.entities = [];
+        this.player = null;
+        this.grid.clear();
+    }
+
+    /**
+     * Get all registered entities
+     * @returns {Entity[]} Entity list (live array, do not mutate)
+     */
+    getEntities() {
+        return this.entities;
+    }
+
+    /**
+     * Get all registered entities of a given type
+     * @param {string} type - Entity type (enemy, pickup, projectile, ...)
+     * @returns {Entity[]} Matching entities
+     */
+    getEntitiesByType(type) {
+        return this.entities.filter(entity => entity.type === type);
+    }
+
+    /**
+     * Get the entities within a radius of a position, searching only nearby grid cells
+     * @param {number} x - Centre X position
+     * @param {number} y - Centre Y position
+     * @param {number} radius - Search radius in tiles
+     * @param {string|null} type - Only return entities of this type (optional)
+     * @returns {Entity[]} Matching entities
+     */
+    getEntitiesNear(x, y, radius, type = null) {
+        return this.grid.query(x, y, radius, type);
+    }
+
+    /**
+     * Get the registered player entity
+     * @returns {Player|null} The player or null if none is registered
+     */
+    getPlayer() {
+        return this.player;
+    }
+}
+
+// Export the World class
+if (typeof window !== 'undefined') {
+    window.World = World;
+} else if (typeof module !== 'undefined' && module.exports) {
+    module.exports = World;
+}